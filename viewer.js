@@ -1,3 +1,45 @@
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const decodeZipFileName = (bytes, isUtf8) => {
+    if (isUtf8) {
+        return new TextDecoder().decode(bytes);
+    }
+    // Flag bit 11 unset: macOS writes UTF-8 anyway, Japanese Windows writes CP932
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        return new TextDecoder('shift_jis').decode(bytes);
+    }
+};
+
+const findZipEndOfCentralDirectory = (dataView) => {
+    const minOffset = Math.max(0, dataView.byteLength - 0xFFFF - 22);
+    for (let offset = dataView.byteLength - 22; offset >= minOffset; offset--) {
+        if (dataView.getUint32(offset, true) === 0x06054b50) {
+            return offset;
+        }
+    }
+    return -1;
+};
+
 const decompressZip = async (arrayBuffer) => {
     async function decompressData(compressedData) {
         const reader = new Blob([compressedData])
@@ -10,639 +52,6210 @@ const decompressZip = async (arrayBuffer) => {
             chunks.push(result.value);
             result = await reader.read();
         }
-        return new Blob(chunks);
+        return new Uint8Array(await new Blob(chunks).arrayBuffer());
     }
 
     const dataView = new DataView(arrayBuffer);
-    let offset = 0;
-    const files = [];
-
-    while (offset < dataView.byteLength) {
-        const signature = dataView.getUint32(offset, true);
-        if (signature !== 0x04034b50) break;
-        const generalPurposeFlag = dataView.getUint16(offset + 6, true);
-        const fileNameLength = dataView.getUint16(offset + 26, true);
-        const extraFieldLength = dataView.getUint16(offset + 28, true);
-        let compressedSize = dataView.getUint32(offset + 18, true);
-        const pathName = new TextDecoder().decode(
-            arrayBuffer.slice(offset + 30, offset + 30 + fileNameLength)
+    const bytes = new Uint8Array(arrayBuffer);
+    const entries = [];
+    const errors = [];
+
+    const eocdOffset = findZipEndOfCentralDirectory(dataView);
+    if (eocdOffset < 0) {
+        errors.push({ path: '', message: 'ZIPの中央ディレクトリが見つかりません（ファイルが壊れている可能性があります）' });
+        return { entries, errors };
+    }
+
+    let entryCount = dataView.getUint16(eocdOffset + 10, true);
+    let centralDirectoryOffset = dataView.getUint32(eocdOffset + 16, true);
+
+    const zip64LocatorOffset = eocdOffset - 20;
+    if (zip64LocatorOffset >= 0 && dataView.getUint32(zip64LocatorOffset, true) === 0x07064b50) {
+        const zip64EocdOffset = Number(dataView.getBigUint64(zip64LocatorOffset + 8, true));
+        if (zip64EocdOffset + 56 <= dataView.byteLength && dataView.getUint32(zip64EocdOffset, true) === 0x06064b50) {
+            entryCount = Number(dataView.getBigUint64(zip64EocdOffset + 32, true));
+            centralDirectoryOffset = Number(dataView.getBigUint64(zip64EocdOffset + 48, true));
+        }
+    }
+
+    let offset = centralDirectoryOffset;
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > dataView.byteLength || dataView.getUint32(offset, true) !== 0x02014b50) {
+            errors.push({ path: '', message: `中央ディレクトリが壊れています（${i + 1}件目以降を読み込めません）` });
+            break;
+        }
+
+        const generalPurposeFlag = dataView.getUint16(offset + 8, true);
+        const compressionMethod = dataView.getUint16(offset + 10, true);
+        const expectedCrc = dataView.getUint32(offset + 16, true);
+        let compressedSize = dataView.getUint32(offset + 20, true);
+        let uncompressedSize = dataView.getUint32(offset + 24, true);
+        const fileNameLength = dataView.getUint16(offset + 28, true);
+        const extraFieldLength = dataView.getUint16(offset + 30, true);
+        const commentLength = dataView.getUint16(offset + 32, true);
+        let localHeaderOffset = dataView.getUint32(offset + 42, true);
+
+        const pathName = decodeZipFileName(
+            bytes.subarray(offset + 46, offset + 46 + fileNameLength),
+            (generalPurposeFlag & 0x0800) !== 0
         );
-        offset += fileNameLength + extraFieldLength + 30;
-        const dataOffset = offset;
-        const isDataDescriptor = (generalPurposeFlag & 0x0008) !== 0;
-
-        if (isDataDescriptor) {
-            while (offset < dataView.byteLength) {
-                const potentialSignature = dataView.getUint32(offset, true);
-                if (potentialSignature === 0x08074b50) {
-                    compressedSize = dataView.getUint32(offset + 8, true);
-                    offset += 16;
-                    break;
+
+        let extraOffset = offset + 46 + fileNameLength;
+        const extraEnd = extraOffset + extraFieldLength;
+        let brokenZip64Field = false;
+        while (extraOffset + 4 <= Math.min(extraEnd, dataView.byteLength)) {
+            const headerId = dataView.getUint16(extraOffset, true);
+            const dataSize = dataView.getUint16(extraOffset + 2, true);
+            if (headerId === 0x0001) {
+                // A truncated block must not read into the next field or past the buffer
+                const blockEnd = Math.min(extraOffset + 4 + dataSize, extraEnd, dataView.byteLength);
+                let fieldOffset = extraOffset + 4;
+                const readZip64Field = () => {
+                    if (fieldOffset + 8 > blockEnd) {
+                        brokenZip64Field = true;
+                        return 0;
+                    }
+                    const value = Number(dataView.getBigUint64(fieldOffset, true));
+                    fieldOffset += 8;
+                    return value;
+                };
+                if (uncompressedSize === 0xFFFFFFFF) {
+                    uncompressedSize = readZip64Field();
+                }
+                if (compressedSize === 0xFFFFFFFF) {
+                    compressedSize = readZip64Field();
+                }
+                if (localHeaderOffset === 0xFFFFFFFF) {
+                    localHeaderOffset = readZip64Field();
                 }
-                offset++;
             }
-        } else {
-            offset += compressedSize;
+            extraOffset += 4 + dataSize;
         }
 
-        if (pathName[pathName.length - 1] !== "/") {
-            const decompressedData = await decompressData(
-                arrayBuffer.slice(dataOffset, dataOffset + compressedSize)
-            );
-            const fileName = pathName.replace(/.*\//, "");
-            files.push(new File([decompressedData], fileName));
+        offset = extraEnd + commentLength;
+
+        if (pathName[pathName.length - 1] === "/") {
+            continue;
         }
+
+        if (brokenZip64Field) {
+            errors.push({ path: pathName, message: 'ZIP64拡張フィールドが壊れています' });
+            continue;
+        }
+
+        if ((generalPurposeFlag & 0x0001) !== 0) {
+            errors.push({ path: pathName, message: '暗号化されているため展開できません' });
+            continue;
+        }
+        if (compressionMethod !== 0 && compressionMethod !== 8) {
+            errors.push({ path: pathName, message: `未対応の圧縮方式です（方式 ${compressionMethod}）` });
+            continue;
+        }
+        if (localHeaderOffset + 30 > dataView.byteLength || dataView.getUint32(localHeaderOffset, true) !== 0x04034b50) {
+            errors.push({ path: pathName, message: 'ローカルヘッダーが見つかりません' });
+            continue;
+        }
+
+        const dataOffset = localHeaderOffset + 30 +
+            dataView.getUint16(localHeaderOffset + 26, true) +
+            dataView.getUint16(localHeaderOffset + 28, true);
+        if (dataOffset + compressedSize > dataView.byteLength) {
+            errors.push({ path: pathName, message: 'データが途中で切れています' });
+            continue;
+        }
+
+        let data;
+        try {
+            const compressedData = bytes.subarray(dataOffset, dataOffset + compressedSize);
+            data = compressionMethod === 0 ? compressedData : await decompressData(compressedData);
+        } catch (error) {
+            errors.push({ path: pathName, message: `展開に失敗しました（${error.message}）` });
+            continue;
+        }
+
+        if (data.length !== uncompressedSize || crc32(data) !== expectedCrc) {
+            errors.push({ path: pathName, message: 'CRCが一致しません（ファイルが壊れている可能性があります）' });
+            continue;
+        }
+
+        const fileName = pathName.replace(/.*\//, "");
+        entries.push({ path: pathName, file: new File([data], fileName) });
     }
-    return files;
+    return { entries, errors };
 };
 
-const convertXsl = async (sourceFiles) => {
-    const unCompressPromises = sourceFiles.map(async (file) => {
-        if (file.type.match(/^application\/(x-zip-compressed|zip)$/)) {
-            return file.arrayBuffer().then(decompressZip);
-        }
-        return file;
-    });
-    const unCompressFiles = Promise.all(unCompressPromises).then(
-        (files) => {
-            return files.flat();
+const compressDeflateRaw = async (data) => {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// entries: [{ path, data: Uint8Array | string }]; names are written as UTF-8 (flag bit 11)
+const createZip = async (entries, { compress = true } = {}) => {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const nameBytes = encoder.encode(entry.path);
+        const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+        const crc = crc32(data);
+        let method = 0;
+        let stored = data;
+        if (compress && typeof CompressionStream !== 'undefined' && data.length > 0) {
+            const deflated = await compressDeflateRaw(data);
+            if (deflated.length < data.length) {
+                method = 8;
+                stored = deflated;
+            }
         }
-    );
-    const documentFiles = unCompressFiles.then(async (files) => {
-        return Promise.all(
-            files
-                .filter((file) => file.name.match(/\.xml$|\.xsl$/))
-                .map(async (file) => {
-                    const parser = new DOMParser();
-                    const xml = parser.parseFromString(
-                        await file.text(),
-                        "application/xml"
-                    );
-                    return [file.name, xml];
-                })
-        );
-    });
-    return documentFiles.then((files) => {
-        const fileMap = Object.fromEntries(files);
-        const xmlDocs = files.filter(([name]) => name.endsWith(".xml"));
-        const documents = xmlDocs.map(([name, xmlDoc]) => {
-            const xsltProcessor = new XSLTProcessor();
-            const styleNodes = Array.from(xmlDoc.childNodes).filter(
-                (node) =>
-                    node.nodeType === Node.PROCESSING_INSTRUCTION_NODE &&
-                    node.target === "xml-stylesheet"
-            );
-            styleNodes.forEach((styleNode) => {
-                const href = styleNode.data.match(/href="([^"]+)"/)[1];
-                const xslDoc = fileMap[href];
-                if (xslDoc) xsltProcessor.importStylesheet(xslDoc);
-            });
-            const resultDoc = xsltProcessor.transformToDocument(xmlDoc);
-            const serializer = new XMLSerializer();
-            const resultString = serializer.serializeToString(resultDoc);
-            return [name, resultString];
-        });
-        return documents;
-    });
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034b50, true);
+        localHeader.setUint16(4, 20, true);
+        localHeader.setUint16(6, 0x0800, true);
+        localHeader.setUint16(8, method, true);
+        localHeader.setUint16(10, time, true);
+        localHeader.setUint16(12, date, true);
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, stored.length, true);
+        localHeader.setUint32(22, data.length, true);
+        localHeader.setUint16(26, nameBytes.length, true);
+        localHeader.setUint16(28, 0, true);
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014b50, true);
+        centralHeader.setUint16(4, 20, true);
+        centralHeader.setUint16(6, 20, true);
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(10, method, true);
+        centralHeader.setUint16(12, time, true);
+        centralHeader.setUint16(14, date, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, stored.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        centralHeader.setUint32(42, offset, true);
+
+        chunks.push(new Uint8Array(localHeader.buffer), nameBytes, stored);
+        centralDirectory.push(new Uint8Array(centralHeader.buffer), nameBytes);
+        offset += 30 + nameBytes.length + stored.length;
+    }
+
+    const centralDirectorySize = centralDirectory.reduce((size, chunk) => size + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralDirectorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...centralDirectory, new Uint8Array(end.buffer)], { type: 'application/zip' });
 };
 
-const applyTextFormatting = (contents) => {
-    const oshiraseElements = contents.querySelectorAll("pre.oshirase");
-    oshiraseElements.forEach(pre => {
-        const originalText = pre.textContent;
-        const cleanText = originalText.replace(/[\r\n\t]/g, '').replace(/ /g, '');
+const XSLT_NS = 'http://www.w3.org/1999/XSL/Transform';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+const EXSLT_COMMON_NS = 'http://exslt.org/common';
 
-        let newText = '';
-        let charCount = 0;
+const fileIndex = new Map();
+const filePaths = new WeakMap();
 
-        for (let i = 0; i < cleanText.length; i++) {
-            const char = cleanText[i];
-            newText += char;
+const registerFile = (path, file) => {
+    fileIndex.set(path, file);
+    filePaths.set(file, path);
+};
 
-            const charCode = char.charCodeAt(0);
-            const isFullWidth = charCode > 0x7F;
+const pathOf = (file) => filePaths.get(file) || file.name;
 
-            charCount += isFullWidth ? 1 : 0.5;
+const dirnameOf = (path) => path.includes('/') ? path.replace(/\/[^/]*$/, '') : '';
 
-            if (charCount >= 26 && i < cleanText.length - 1) {
-                newText += '\n';
-                charCount = 0;
-            }
+// Resolves an href from a PI, xsl:include or document() against the loaded file paths
+const resolvePath = (baseDir, href) => {
+    let target = href.replace(/[?#].*$/, '');
+    try {
+        target = decodeURIComponent(target);
+    } catch (e) {
+        // keep the raw href
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target)) {
+        target = target.replace(/.*\//, '');
+    }
+    const parts = target.startsWith('/') ? [] : (baseDir ? baseDir.split('/') : []);
+    target.split(/[\\/]/).forEach(part => {
+        if (part === '..') {
+            parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
         }
+    });
+    return parts.join('/');
+};
 
-        pre.textContent = newText;
+const parsePseudoAttributes = (data) => {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*(["'])(.*?)\2/g;
+    let match;
+    while ((match = pattern.exec(data)) !== null) {
+        attributes[match[1]] = match[3];
+    }
+    return attributes;
+};
+
+const getStylesheetHref = (xmlDoc) => {
+    const styleNode = Array.from(xmlDoc.childNodes).find((node) => {
+        if (node.nodeType !== Node.PROCESSING_INSTRUCTION_NODE || node.target !== "xml-stylesheet") {
+            return false;
+        }
+        const { href, type } = parsePseudoAttributes(node.data);
+        return href && (!type || /xsl|xml/i.test(type));
     });
+    return styleNode ? parsePseudoAttributes(styleNode.data).href : null;
+};
 
-    const kyoujiElements = contents.querySelectorAll("pre.kyouji");
-    kyoujiElements.forEach(pre => {
-        const originalText = pre.textContent;
-        const cleanText = originalText.replace(/[\r\n\t]/g, '').replace(/ /g, '');
+const canonicalEncoding = (label) => {
+    try {
+        return new TextDecoder(label).encoding;
+    } catch (e) {
+        return null;
+    }
+};
 
-        let newText = '';
-        let charCount = 0;
+// file.text() always assumes UTF-8; e-Gov and in-house XMLs are often Shift_JIS or EUC-JP
+const decodeXmlBytes = (bytes) => {
+    let bomEncoding = null;
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        bomEncoding = 'utf-8';
+    } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        bomEncoding = 'utf-16le';
+    } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        bomEncoding = 'utf-16be';
+    }
 
-        for (let i = 0; i < cleanText.length; i++) {
-            const char = cleanText[i];
-            newText += char;
+    const head = new TextDecoder(bomEncoding && bomEncoding.startsWith('utf-16') ? bomEncoding : 'windows-1252')
+        .decode(bytes.subarray(0, 1024));
+    const declaration = head.match(/^\s*<\?xml[^>]*?encoding\s*=\s*["']([^"']+)["']/);
+    const declaredEncoding = declaration ? declaration[1] : null;
+    const declaredCanonical = declaredEncoding ? canonicalEncoding(declaredEncoding) : null;
 
-            const charCode = char.charCodeAt(0);
-            const isFullWidth = charCode > 0x7F;
+    const warnings = [];
+    if (declaredEncoding && !declaredCanonical) {
+        warnings.push(`未対応の文字コード宣言です（${declaredEncoding}）`);
+    }
+    if (bomEncoding && declaredCanonical && !(bomEncoding.startsWith('utf-16') && declaredCanonical.startsWith('utf-16')) && bomEncoding !== declaredCanonical) {
+        warnings.push(`BOM（${bomEncoding}）と宣言（${declaredEncoding}）が一致しません`);
+    }
 
-            charCount += isFullWidth ? 1 : 0.5;
+    const primary = bomEncoding || declaredCanonical || 'utf-8';
+    const candidates = [primary, ...['utf-8', 'shift_jis', 'euc-jp'].filter(label => label !== primary)];
 
-            if (charCount >= 48 && i < cleanText.length - 1) {
-                newText += '\n';
-                charCount = 0;
+    for (const encoding of candidates) {
+        try {
+            const text = new TextDecoder(encoding, { fatal: true }).decode(bytes);
+            if (encoding !== primary) {
+                warnings.push(`${declaredEncoding ? `宣言された文字コード（${declaredEncoding}）` : '文字コード宣言がなく UTF-8 '}として読めないため、${encoding} として読み込みました`);
             }
+            return { text, encoding, declaredEncoding, warning: warnings.join(' / ') };
+        } catch (e) {
+            // try the next candidate
         }
+    }
 
-        pre.textContent = newText;
-    });
+    warnings.push(`${primary} として正しく読み込めません（文字化けの可能性があります）`);
+    return {
+        text: new TextDecoder(primary).decode(bytes),
+        encoding: primary,
+        declaredEncoding,
+        warning: warnings.join(' / ')
+    };
+};
 
-    // Remove equality class to prevent flexbox layout issues
-    const equalityElements = contents.querySelectorAll(".equality");
-    equalityElements.forEach(el => {
-        el.classList.remove("equality");
-    });
+const readXmlText = async (file) => decodeXmlBytes(new Uint8Array(await file.arrayBuffer()));
+
+// ZIP expansion and text decoding run in a small pool of workers built from the functions above
+// (a Blob URL keeps the viewer a single script). DOMParser does not exist in workers and the
+// metadata fields may be XPath expressions, so parsing and metadata extraction deliberately stay
+// on the main thread (see the README), in slices between which the page can repaint.
+const LOAD_WORKER_COUNT = Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 2) - 1));
+const LOAD_SLICE_MS = 50;
+const LIST_REFRESH_INTERVAL_MS = 500;
+
+const loadWorkerMain = () => {
+    self.onmessage = async ({ data: { id, task, file } }) => {
+        try {
+            const bytes = await file.arrayBuffer();
+            if (task === 'unzip') {
+                self.postMessage({ id, result: await decompressZip(bytes) });
+            } else {
+                const { text, warning } = decodeXmlBytes(new Uint8Array(bytes));
+                self.postMessage({ id, result: { text, warning } });
+            }
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+    };
+};
 
-    const tables = contents.querySelectorAll("table");
-    tables.forEach(table => {
-        const cells = table.querySelectorAll('td, th');
-        cells.forEach(cell => {
-            const text = cell.textContent.trim();
-            if (text === '被保険者整理番号' || text === '変更内容') {
-                // Remove conflicting flex styles if they exist inline
-                if (cell.style.display === 'flex') {
-                    cell.style.display = '';
-                }
-                if (cell.style.justifyContent) {
-                    cell.style.justifyContent = '';
+const createLoadWorkerSource = () => [
+    `const CRC32_TABLE = new Uint32Array([${CRC32_TABLE.join(',')}]);`,
+    ...Object.entries({ crc32, decodeZipFileName, findZipEndOfCentralDirectory, decompressZip, canonicalEncoding, decodeXmlBytes })
+        .map(([name, fn]) => `const ${name} = ${fn.toString()};`),
+    `(${loadWorkerMain.toString()})();`
+].join('\n');
+
+const runLoadTaskInline = (task, file) => task === 'unzip'
+    ? file.arrayBuffer().then(decompressZip)
+    : readXmlText(file);
+
+// run(task, file) → Promise; after terminate() every queued or running task rejects
+const createLoadPool = () => {
+    let url = null;
+    let workers = [];
+    try {
+        url = URL.createObjectURL(new Blob([createLoadWorkerSource()], { type: 'text/javascript' }));
+        workers = Array.from({ length: LOAD_WORKER_COUNT }, () => new Worker(url));
+    } catch (error) {
+        console.warn('Load workers unavailable, decoding on the main thread:', error);
+    }
+
+    const idle = [...workers];
+    const queue = [];
+    const running = new Map();
+    let nextId = 0;
+    let terminated = false;
+
+    const runInline = (job) => {
+        runLoadTaskInline(job.task, job.file).then(job.resolve, job.reject);
+    };
+
+    const dispatch = () => {
+        while (queue.length > 0 && (idle.length > 0 || workers.length === 0)) {
+            const job = queue.shift();
+            const worker = idle.pop();
+            // Every job settles: with no live worker to take it, it runs here instead
+            if (!worker || !workers.includes(worker)) {
+                runInline(job);
+                continue;
+            }
+            running.set(job.id, { job, worker });
+            try {
+                worker.postMessage({ id: job.id, task: job.task, file: job.file });
+            } catch (error) {
+                running.delete(job.id);
+                runInline(job);
+            }
+        }
+    };
+
+    workers.forEach(worker => {
+        worker.onmessage = ({ data }) => {
+            const { job } = running.get(data.id);
+            running.delete(data.id);
+            idle.push(worker);
+            if (data.error) {
+                job.reject(new Error(data.error));
+            } else {
+                job.resolve(data.result);
+            }
+            dispatch();
+        };
+        // A worker that fails to start (e.g. blocked by CSP) is dropped and its task done here instead
+        worker.onerror = (event) => {
+            event.preventDefault();
+            workers = workers.filter(other => other !== worker);
+            const idleIndex = idle.indexOf(worker);
+            if (idleIndex >= 0) {
+                idle.splice(idleIndex, 1);
+            }
+            for (const [id, { job, worker: owner }] of running) {
+                if (owner === worker) {
+                    running.delete(id);
+                    runInline(job);
                 }
-                
-                cell.style.textAlign = 'center';
             }
-        });
+            worker.terminate();
+            dispatch();
+        };
     });
+
+    return {
+        run: (task, file) => new Promise((resolve, reject) => {
+            if (terminated) {
+                reject(new Error('読み込みを中止しました'));
+                return;
+            }
+            queue.push({ id: nextId++, task, file, resolve, reject });
+            dispatch();
+        }),
+        terminate: () => {
+            terminated = true;
+            workers.forEach(worker => worker.terminate());
+            const error = new Error('読み込みを中止しました');
+            [...queue, ...Array.from(running.values(), ({ job }) => job)].forEach(job => job.reject(error));
+            queue.length = 0;
+            running.clear();
+            if (url) URL.revokeObjectURL(url);
+        }
+    };
 };
 
-const fileStorage = new Map();
-let fileIdCounter = 1;
-const xslCache = new Map();
-const xmlPool = new Map();
-const processedFileKeys = new Set();
+// DOMParser never throws; it returns a document containing <parsererror> instead
+const getParseError = (doc) => {
+    const errorNode = doc.getElementsByTagName('parsererror')[0];
+    if (!errorNode) return null;
+    const text = errorNode.textContent.replace(/\s+/g, ' ').trim();
+    const position = text.match(/line(?: number)?\s*(\d+)\D+?(\d+)/i);
+    const detail = errorNode.querySelector('div');
+    return {
+        message: (detail ? detail.textContent : text).replace(/\s+/g, ' ').trim(),
+        line: position ? Number(position[1]) : null,
+        column: position ? Number(position[2]) : null
+    };
+};
 
-const addFilesToStorage = async (files) => {
-    const processedFiles = [];
+const describeParseError = (parseError) => {
+    const position = parseError.line ? `（${parseError.line}行目 ${parseError.column}列）` : '';
+    return `${position}${parseError.message}`;
+};
 
-    const extractFolderName = (file) => {
-        if (file.webkitRelativePath) {
-            const parts = file.webkitRelativePath.split('/');
-            return parts.length > 1 ? parts[0] : null;
+const parseXmlFile = async (file) => {
+    const parser = new DOMParser();
+    const { text } = await readXmlText(file);
+    return parser.parseFromString(text, "application/xml");
+};
+
+const copyNamespaceDeclarations = (fromElement, toElement) => {
+    Array.from(fromElement.attributes).forEach(attr => {
+        if (attr.namespaceURI === XMLNS_NS && !toElement.hasAttributeNS(XMLNS_NS, attr.localName)) {
+            toElement.setAttributeNS(XMLNS_NS, attr.name, attr.value);
         }
-        return null;
-    };
+    });
+};
 
-    for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        const folderName = extractFolderName(file);
+// XSLTProcessor cannot fetch relative xsl:include/xsl:import from a parsed document, so inline them.
+// Imported declarations go first so the importing stylesheet's rules keep precedence.
+const inlineStylesheetModules = async (xslDoc, xslPath, visited) => {
+    const root = xslDoc.documentElement;
+    const modules = Array.from(root.childNodes).filter(node =>
+        node.nodeType === Node.ELEMENT_NODE &&
+        node.namespaceURI === XSLT_NS &&
+        (node.localName === 'include' || node.localName === 'import')
+    );
 
-        const fileKey = `${file.webkitRelativePath || file.name}_${file.size}_${file.lastModified}`;
-        if (processedFileKeys.has(fileKey)) {
-            continue;
+    const definedNames = new Set(Array.from(root.children)
+        .filter(el => el.namespaceURI === XSLT_NS && el.getAttribute('name'))
+        .map(el => `${el.localName}:${el.getAttribute('name')}`));
+
+    let importAnchor = modules.find(node => node.localName === 'import') || null;
+
+    for (const moduleNode of modules) {
+        const href = moduleNode.getAttribute('href');
+        const modulePath = resolvePath(dirnameOf(xslPath), href || '');
+        const moduleFile = fileIndex.get(modulePath);
+        if (!moduleFile) {
+            throw new Error(`${moduleNode.localName} されたスタイルシート「${href}」が読み込まれていません`);
         }
-        processedFileKeys.add(fileKey);
 
-        if (file.type.match(/^application\/(x-zip-compressed|zip)$/) || file.name.endsWith('.zip')) {
-            const unzipped = await file.arrayBuffer().then(decompressZip);
-            unzipped.forEach(f => {
-                processedFiles.push({
-                    file: f,
-                    sourceIndex: i,
-                    sourceType: 'zip',
-                    sourceName: file.name,
-                    folderName: folderName
-                });
-            });
-        } else {
-            processedFiles.push({
-                file: file,
-                sourceIndex: i,
-                sourceType: folderName ? 'folder' : 'direct',
-                sourceName: file.name,
-                folderName: folderName
+        if (!visited.has(modulePath)) {
+            visited.add(modulePath);
+            const moduleDoc = await parseXmlFile(moduleFile);
+            await inlineStylesheetModules(moduleDoc, modulePath, visited);
+            await inlineDocumentReferences(moduleDoc, modulePath);
+
+            const isImport = moduleNode.localName === 'import';
+            Array.from(moduleDoc.documentElement.childNodes).forEach(child => {
+                if (child.nodeType !== Node.ELEMENT_NODE) return;
+                if (isImport && child.namespaceURI === XSLT_NS && child.getAttribute('name') &&
+                    definedNames.has(`${child.localName}:${child.getAttribute('name')}`)) {
+                    return;
+                }
+                const copy = xslDoc.importNode(child, true);
+                copyNamespaceDeclarations(moduleDoc.documentElement, copy);
+                if (isImport) {
+                    root.insertBefore(copy, importAnchor);
+                } else {
+                    root.insertBefore(copy, moduleNode);
+                }
             });
         }
-    }
 
-    const xmlFiles = [];
-    const xslFiles = [];
+        if (moduleNode === importAnchor) {
+            importAnchor = importAnchor.nextSibling;
+        }
+        moduleNode.remove();
+    }
+    return xslDoc;
+};
 
-    processedFiles.forEach(item => {
-        const name = item.file.name;
-        if (name.endsWith('.xml')) {
-            xmlFiles.push(item);
-        } else if (name.endsWith('.xsl')) {
-            xslFiles.push(item);
+const escapeAttributeValueTemplates = (element) => {
+    Array.from(element.attributes).forEach(attr => {
+        if (attr.namespaceURI !== XMLNS_NS) {
+            attr.value = attr.value.replace(/[{}]/g, '$&$&');
         }
     });
+    Array.from(element.children).forEach(escapeAttributeValueTemplates);
+};
+
+let inlinedDocumentCount = 0;
+
+// document('sibling.xml') cannot load files from the drop, so embed the referenced XML
+// as a top-level variable and read it back through exsl:node-set()
+const inlineDocumentReferences = async (xslDoc, xslPath) => {
+    const root = xslDoc.documentElement;
+    const pattern = /document\(\s*(["'])([^"']+)\1\s*\)/g;
+    const variables = new Map();
+
+    const elements = Array.from(xslDoc.getElementsByTagNameNS(XSLT_NS, '*'));
+    for (const element of elements) {
+        for (const attrName of ['select', 'test', 'use', 'value']) {
+            const expression = element.getAttribute(attrName);
+            if (!expression || !expression.includes('document(')) continue;
+
+            const hrefs = Array.from(expression.matchAll(pattern), match => match[2]);
+            for (const href of hrefs) {
+                if (variables.has(href)) continue;
+                const docPath = resolvePath(dirnameOf(xslPath), href);
+                const docFile = fileIndex.get(docPath);
+                if (!docFile) continue;
+
+                const referencedDoc = await parseXmlFile(docFile);
+                const variableName = `viewer-document-${++inlinedDocumentCount}`;
+                const variable = xslDoc.createElementNS(XSLT_NS, 'xsl:variable');
+                variable.setAttribute('name', variableName);
+                const copy = xslDoc.importNode(referencedDoc.documentElement, true);
+                escapeAttributeValueTemplates(copy);
+                variable.appendChild(copy);
+                root.insertBefore(variable, root.firstChild);
+                variables.set(href, variableName);
+            }
 
-    const newXslBasenames = [];
-    for (const { file } of xslFiles) {
-        const basename = file.name.replace(/\.xsl$/, '');
-        const text = await file.text();
-        const parser = new DOMParser();
-        const xslDoc = parser.parseFromString(text, 'application/xml');
-        const titleElement = xslDoc.querySelector('title');
-        const title = titleElement ? titleElement.textContent.trim() : '';
-        xslCache.set(basename, { file: file, title: title });
-        newXslBasenames.push(basename);
+            element.setAttribute(attrName, expression.replace(pattern, (match, quote, href) =>
+                variables.has(href) ? `viewer-exsl:node-set($${variables.get(href)})` : match
+            ));
+        }
     }
 
-    for (const { file: xmlFile, sourceIndex, sourceType, sourceName, folderName } of xmlFiles) {
-        const basename = xmlFile.name.replace(/\.xml$/, '');
-        const xslData = xslCache.get(basename);
+    if (variables.size > 0) {
+        root.setAttributeNS(XMLNS_NS, 'xmlns:viewer-exsl', EXSLT_COMMON_NS);
+    }
+    return xslDoc;
+};
 
-        const text = await xmlFile.text();
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(text, 'application/xml');
-        const jigyoushoElements = xmlDoc.querySelectorAll('[*|事業所名], 事業所名');
-        let jigyoushoName = '';
-        if (jigyoushoElements.length > 0) {
-            jigyoushoName = jigyoushoElements[0].textContent.trim();
-        } else {
-            const allElements = xmlDoc.getElementsByTagName('*');
-            for (let elem of allElements) {
-                if (elem.localName && elem.localName.includes('事業所名')) {
-                    jigyoushoName = elem.textContent.trim();
-                    break;
-                }
-            }
+const prepareStylesheet = async (xslDoc, xslPath) => {
+    await inlineStylesheetModules(xslDoc, xslPath, new Set([xslPath]));
+    await inlineDocumentReferences(xslDoc, xslPath);
+    return xslDoc;
+};
+
+// One compiled XSLTProcessor per stylesheet, reused while the path still holds the same File.
+// Dropped when new files load, since xsl:include and document() may resolve differently then.
+const stylesheetProcessors = new Map();
+
+const getStylesheetProcessor = (xslFile) => {
+    const path = pathOf(xslFile);
+    const cached = stylesheetProcessors.get(path);
+    if (cached && cached.file === xslFile) {
+        return cached.promise;
+    }
+
+    const promise = parseXmlFile(xslFile).then(async (xslDoc) => {
+        const xslError = getParseError(xslDoc);
+        if (xslError) {
+            throw new Error(`${xslFile.name}: XSL解析エラー${describeParseError(xslError)}`);
         }
+        const xsltProcessor = new XSLTProcessor();
+        try {
+            xsltProcessor.importStylesheet(await prepareStylesheet(xslDoc, path));
+        } catch (error) {
+            throw new Error(`${xslFile.name}: スタイルシートを読み込めません（${error.message}）`);
+        }
+        return xsltProcessor;
+    });
+    // A failed compile is retried next time (the file may have been fixed and re-added)
+    promise.catch(() => stylesheetProcessors.delete(path));
+    stylesheetProcessors.set(path, { file: xslFile, promise });
+    return promise;
+};
 
-        if (xslData) {
-            const uniqueKey = `${basename}_${fileIdCounter++}_${Date.now()}`;
-            fileStorage.set(uniqueKey, {
-                basename: basename,
-                xml: xmlFile,
-                xsl: xslData.file,
-                title: xslData.title,
-                jigyoushoName: jigyoushoName,
-                sourceInfo: {
-                    sourceIndex: sourceIndex,
-                    sourceType: sourceType,
-                    sourceName: sourceName,
-                    folderName: folderName
-                }
-            });
-        } else {
-            if (!xmlPool.has(basename)) {
-                xmlPool.set(basename, []);
-            }
-            xmlPool.get(basename).push({
-                file: xmlFile,
-                jigyoushoName: jigyoushoName,
-                sourceIndex: sourceIndex,
-                sourceType: sourceType,
-                sourceName: sourceName,
-                folderName: folderName
-            });
+const convertXsl = async (sourceFiles) => {
+    const unCompressPromises = sourceFiles.map(async (file) => {
+        if (file.type.match(/^application\/(x-zip-compressed|zip)$/)) {
+            return file.arrayBuffer().then(decompressZip).then(({ entries }) => entries.map(({ file }) => file));
+        }
+        return file;
+    });
+    const files = (await Promise.all(unCompressPromises)).flat();
+    const xslFiles = files.filter((file) => file.name.endsWith(".xsl"));
+    const xmlDocs = await Promise.all(
+        files
+            .filter((file) => file.name.endsWith(".xml"))
+            .map(async (file) => [file, await parseXmlFile(file)])
+    );
+
+    const documents = [];
+    for (const [xmlFile, xmlDoc] of xmlDocs) {
+        const href = getStylesheetHref(xmlDoc);
+        let xslFile = null;
+        if (href) {
+            const hrefPath = resolvePath(dirnameOf(pathOf(xmlFile)), href);
+            xslFile = xslFiles.find((file) => pathOf(file) === hrefPath) ||
+                xslFiles.find((file) => file.name === hrefPath.replace(/.*\//, ''));
+        }
+        // Fall back to the pair's stylesheet when the PI names a file that was not passed in
+        xslFile = xslFile || xslFiles[0];
+        if (!xslFile) {
+            throw new Error(`${xmlFile.name}: スタイルシートが見つかりません`);
+        }
+
+        const xmlError = getParseError(xmlDoc);
+        if (xmlError) {
+            throw new Error(`${xmlFile.name}: XML解析エラー${describeParseError(xmlError)}`);
+        }
 
+        const xsltProcessor = await getStylesheetProcessor(xslFile);
+        const resultDoc = xsltProcessor.transformToDocument(xmlDoc);
+        if (!resultDoc || !resultDoc.documentElement) {
+            throw new Error(`${xmlFile.name}: XSLT変換に失敗しました（${xslFile.name} の内容を確認してください）`);
         }
+        const serializer = new XMLSerializer();
+        const resultString = serializer.serializeToString(resultDoc);
+        documents.push([xmlFile.name, resultString]);
     }
+    return documents;
+};
 
-    newXslBasenames.forEach(basename => {
-        const pooledXmls = xmlPool.get(basename);
-        if (pooledXmls && pooledXmls.length > 0) {
-            const xslData = xslCache.get(basename);
-            pooledXmls.forEach(({ file: xmlFile, jigyoushoName, sourceIndex, sourceType, sourceName, folderName }) => {
-                const uniqueKey = `${basename}_${fileIdCounter++}_${Date.now()}`;
-                fileStorage.set(uniqueKey, {
-                    basename: basename,
-                    xml: xmlFile,
-                    xsl: xslData.file,
-                    title: xslData.title,
-                    jigyoushoName: jigyoushoName,
-                    sourceInfo: {
-                        sourceIndex: sourceIndex,
-                        sourceType: sourceType,
-                        sourceName: sourceName,
-                        folderName: folderName
-                    }
-                });
-            });
-            xmlPool.delete(basename);
+const RENDER_CACHE_SIZE = 40;
+
+// Transform results per entry, least recently used first. Entries are promises so a prefetch
+// and the view that asked for it share one transform.
+const renderCache = new Map();
+
+const invalidateRenderCache = (uniqueKey) => {
+    renderCache.delete(uniqueKey);
+};
+
+// The [name, html] documents of an entry. `keep: false` (batch print, search) uses a cached
+// result but doesn't store one, so one long run doesn't push out what is being paged through.
+const transformPair = (uniqueKey, pairData, { keep = true } = {}) => {
+    const cached = renderCache.get(uniqueKey);
+    if (cached && cached.xml === pairData.xml && cached.xsl === pairData.xsl) {
+        renderCache.delete(uniqueKey);
+        renderCache.set(uniqueKey, cached);
+        return cached.promise;
+    }
+
+    const promise = convertXsl([pairData.xml, pairData.xsl]);
+    if (keep) {
+        const entry = { xml: pairData.xml, xsl: pairData.xsl, promise };
+        promise.catch(() => {
+            if (renderCache.get(uniqueKey) === entry) renderCache.delete(uniqueKey);
+        });
+        renderCache.delete(uniqueKey);
+        renderCache.set(uniqueKey, entry);
+        while (renderCache.size > RENDER_CACHE_SIZE) {
+            renderCache.delete(renderCache.keys().next().value);
+        }
+    }
+    return promise;
+};
+
+const prefetchNeighbours = (uniqueKey) => {
+    const keys = getNavigationKeys(uniqueKey);
+    const index = keys.indexOf(uniqueKey);
+    if (index < 0) return;
+    const schedule = window.requestIdleCallback || ((callback) => setTimeout(callback, 200));
+    [keys[index + 1], keys[index - 1]].forEach(key => {
+        const pairData = key && fileStorage.get(key);
+        if (pairData) {
+            schedule(() => transformPair(key, pairData).catch(() => {}));
         }
     });
+};
 
-    renderUI();
+// XML digital signatures (XMLDSig) on e-Gov documents: references are digested after the listed
+// transforms, SignedInfo is canonicalized and checked against the key in the embedded X.509
+// certificate. Only the certificate's own validity period is checked, not its chain to a CA, so the
+// best result is "matched": unchanged since signing, by whoever holds that certificate.
+const XMLDSIG_NS = 'http://www.w3.org/2000/09/xmldsig#';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const ENVELOPED_SIGNATURE_TRANSFORM = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+
+const C14N_METHODS = {
+    'http://www.w3.org/TR/2001/REC-xml-c14n-20010315': { exclusive: false, withComments: false },
+    'http://www.w3.org/TR/2001/REC-xml-c14n-20010315#WithComments': { exclusive: false, withComments: true },
+    'http://www.w3.org/2001/10/xml-exc-c14n#': { exclusive: true, withComments: false },
+    'http://www.w3.org/2001/10/xml-exc-c14n#WithComments': { exclusive: true, withComments: true }
 };
 
-const showPair = (uniqueKey, pairData) => {
-    const body = document.body;
-    body.innerHTML = "";
+const DIGEST_ALGORITHMS = {
+    'http://www.w3.org/2000/09/xmldsig#sha1': 'SHA-1',
+    'http://www.w3.org/2001/04/xmlenc#sha256': 'SHA-256',
+    'http://www.w3.org/2001/04/xmldsig-more#sha384': 'SHA-384',
+    'http://www.w3.org/2001/04/xmlenc#sha512': 'SHA-512'
+};
 
-    const allKeys = Array.from(fileStorage.keys());
-    const currentIndex = allKeys.indexOf(uniqueKey);
-    const prevKey = currentIndex > 0 ? allKeys[currentIndex - 1] : null;
-    const nextKey = currentIndex < allKeys.length - 1 ? allKeys[currentIndex + 1] : null;
+const SIGNATURE_ALGORITHMS = {
+    'http://www.w3.org/2000/09/xmldsig#rsa-sha1': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1' },
+    'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    'http://www.w3.org/2001/04/xmldsig-more#rsa-sha384': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+    'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+    'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha256': { name: 'ECDSA', hash: 'SHA-256' },
+    'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha384': { name: 'ECDSA', hash: 'SHA-384' },
+    'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha512': { name: 'ECDSA', hash: 'SHA-512' }
+};
 
-    convertXsl([pairData.xml, pairData.xsl]).then((docs) => {
-        docs.forEach(([name, doc]) => {
-            const contents = document.createElement("div");
-            contents.innerHTML = doc;
+const EC_CURVES = {
+    '1.2.840.10045.3.1.7': 'P-256',
+    '1.3.132.0.34': 'P-384',
+    '1.3.132.0.35': 'P-521'
+};
 
-            applyTextFormatting(contents);
+const DN_ATTRIBUTE_NAMES = {
+    '2.5.4.3': 'CN',
+    '2.5.4.6': 'C',
+    '2.5.4.7': 'L',
+    '2.5.4.8': 'ST',
+    '2.5.4.10': 'O',
+    '2.5.4.11': 'OU',
+    '1.2.840.113549.1.9.1': 'E'
+};
 
-            const container = document.createElement("div");
-            const isLandscape = pairData.basename.startsWith('2');
-            container.setAttribute("class", isLandscape ? "container landscape" : "container");
+const dsChildren = (parent, localName) => parent
+    ? Array.from(parent.children).filter(child => child.namespaceURI === XMLDSIG_NS && child.localName === localName)
+    : [];
 
-            const header = document.createElement("div");
-            header.setAttribute("class", "page-header");
+const dsChild = (parent, localName) => dsChildren(parent, localName)[0] || null;
 
-            const leftSection = document.createElement("div");
-            leftSection.setAttribute("class", "header-left");
+const algorithmOf = (element) => element ? element.getAttribute('Algorithm') || '' : '';
 
-            const homeBtn = document.createElement("button");
-            homeBtn.setAttribute("class", "home-btn");
-            homeBtn.innerText = "ファイル一覧";
-            homeBtn.onclick = () => {
-                renderUI();
-            };
+const decodeBase64 = (text) => Uint8Array.from(atob(text.replace(/\s+/g, '')), char => char.charCodeAt(0));
 
-            const clearBtn = document.createElement("button");
-            clearBtn.setAttribute("class", "home-btn");
-            clearBtn.style.cssText = "background: #f44336;";
-            clearBtn.innerText = "クリア";
-            clearBtn.onclick = () => {
-                if (confirm('すべてのファイルをクリアしますか？\n（アップロードしたファイルがすべて削除されます）')) {
-                    fileStorage.clear();
-                    xslCache.clear();
-                    xmlPool.clear();
-                    renderUI();
-                }
-            };
-            clearBtn.onmouseover = () => {
-                clearBtn.style.background = "#d32f2f";
-            };
-            clearBtn.onmouseout = () => {
-                clearBtn.style.background = "#f44336";
-            };
+const toBase64Url = (text) => text.replace(/\s+/g, '').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 
-            const countLabel = document.createElement("span");
-            countLabel.style.cssText = "font-size: 14px; color: #666; margin-left: 8px;";
-            countLabel.innerText = `${currentIndex + 1} / ${allKeys.length}`;
+const bytesEqual = (a, b) => a.length === b.length && a.every((byte, index) => byte === b[index]);
 
-            leftSection.append(homeBtn, clearBtn, countLabel);
+const compareCodeUnits = (a, b) => a < b ? -1 : a > b ? 1 : 0;
 
-            const rightSection = document.createElement("div");
+const escapeC14nText = (text) => text
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r/g, '&#xD;');
+
+const escapeC14nAttribute = (value) => value
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;')
+    .replace(/\t/g, '&#x9;').replace(/\n/g, '&#xA;').replace(/\r/g, '&#xD;');
+
+const declaredNamespaces = (element, into = new Map()) => {
+    Array.from(element.attributes).forEach(attr => {
+        if (attr.namespaceURI === XMLNS_NS) {
+            into.set(attr.prefix ? attr.localName : '', attr.value);
+        }
+    });
+    return into;
+};
+
+// Canonical XML 1.0 or Exclusive XML Canonicalization of a document or element subtree.
+// `excluded` is left out together with its descendants (the enveloped-signature transform).
+const canonicalizeXml = (node, { exclusive = false, withComments = false, inclusivePrefixes = [], excluded = null } = {}) => {
+    const parts = [];
+
+    const renderNode = (child, inScope, rendered) => {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+            renderElement(child, inScope, rendered, false);
+        } else if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) {
+            parts.push(escapeC14nText(child.nodeValue));
+        } else if (child.nodeType === Node.COMMENT_NODE && withComments) {
+            parts.push(`<!--${child.nodeValue}-->`);
+        } else if (child.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+            parts.push(`<?${child.target}${child.data ? ` ${child.data}` : ''}?>`);
+        }
+    };
+
+    const renderElement = (element, parentScope, rendered, isApex) => {
+        if (element === excluded) return;
+        const inScope = declaredNamespaces(element, new Map(parentScope));
+        const attributes = Array.from(element.attributes).filter(attr => attr.namespaceURI !== XMLNS_NS);
+
+        // Inclusive canonicalization renders every in-scope namespace; exclusive only the used ones
+        let prefixes = Array.from(inScope.keys());
+        if (exclusive) {
+            const used = new Set([element.prefix || '', ...inclusivePrefixes]);
+            attributes.forEach(attr => {
+                if (attr.prefix) used.add(attr.prefix);
+            });
+            prefixes = Array.from(used);
+        }
+        const declarations = prefixes
+            .filter(prefix => prefix !== 'xml' && (prefix === '' || inScope.has(prefix)))
+            .filter(prefix => (rendered.get(prefix) || '') !== (inScope.get(prefix) || ''))
+            .sort();
+        const childRendered = new Map(rendered);
+        declarations.forEach(prefix => childRendered.set(prefix, inScope.get(prefix) || ''));
+
+        // A subtree taken out of its document keeps the xml:lang / xml:space it inherited
+        if (isApex && !exclusive) {
+            for (let ancestor = element.parentNode; ancestor && ancestor.nodeType === Node.ELEMENT_NODE; ancestor = ancestor.parentNode) {
+                Array.from(ancestor.attributes).forEach(attr => {
+                    if (attr.namespaceURI === XML_NS && !attributes.some(own => own.namespaceURI === XML_NS && own.localName === attr.localName)) {
+                        attributes.push(attr);
+                    }
+                });
+            }
+        }
+        attributes.sort((a, b) => compareCodeUnits(a.namespaceURI || '', b.namespaceURI || '') ||
+            compareCodeUnits(a.localName, b.localName));
+
+        parts.push(`<${element.nodeName}`);
+        declarations.forEach(prefix => {
+            parts.push(` ${prefix ? `xmlns:${prefix}` : 'xmlns'}="${escapeC14nAttribute(inScope.get(prefix) || '')}"`);
+        });
+        attributes.forEach(attr => {
+            parts.push(` ${attr.name}="${escapeC14nAttribute(attr.value)}"`);
+        });
+        parts.push('>');
+        Array.from(element.childNodes).forEach(child => renderNode(child, inScope, childRendered));
+        parts.push(`</${element.nodeName}>`);
+    };
+
+    if (node.nodeType === Node.DOCUMENT_NODE) {
+        let beforeRoot = true;
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.ELEMENT_NODE) {
+                renderElement(child, new Map(), new Map(), true);
+                beforeRoot = false;
+                return;
+            }
+            const length = parts.length;
+            renderNode(child, new Map(), new Map());
+            // Nodes outside the root element are separated from it by line breaks
+            if (parts.length > length) {
+                parts.splice(beforeRoot ? parts.length : length, 0, '\n');
+            }
+        });
+    } else {
+        const ancestorScope = new Map();
+        const ancestors = [];
+        for (let ancestor = node.parentNode; ancestor && ancestor.nodeType === Node.ELEMENT_NODE; ancestor = ancestor.parentNode) {
+            ancestors.unshift(ancestor);
+        }
+        ancestors.forEach(ancestor => declaredNamespaces(ancestor, ancestorScope));
+        renderElement(node, ancestorScope, new Map(), true);
+    }
+    return parts.join('');
+};
+
+// Minimal DER reader for X.509 certificates: { tag, offset, start, end } per element
+const readDer = (bytes, offset) => {
+    const tag = bytes[offset];
+    let length = bytes[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+        const count = length & 0x7F;
+        length = 0;
+        for (let i = 0; i < count; i++) {
+            length = length * 256 + bytes[start + i];
+        }
+        start += count;
+    }
+    if (start + length > bytes.length) {
+        throw new Error('証明書のデータが壊れています');
+    }
+    return { tag, offset, start, end: start + length };
+};
+
+const derChildren = (bytes, node) => {
+    const children = [];
+    for (let offset = node.start; offset < node.end;) {
+        const child = readDer(bytes, offset);
+        children.push(child);
+        offset = child.end;
+    }
+    return children;
+};
+
+const decodeOid = (bytes, node) => {
+    const content = bytes.subarray(node.start, node.end);
+    const arcs = [Math.floor(content[0] / 40), content[0] % 40];
+    let value = 0;
+    for (let i = 1; i < content.length; i++) {
+        value = value * 128 + (content[i] & 0x7F);
+        if (!(content[i] & 0x80)) {
+            arcs.push(value);
+            value = 0;
+        }
+    }
+    return arcs.join('.');
+};
+
+// BMPString is UTF-16; UTF8String, PrintableString and IA5String all decode as UTF-8
+const decodeDerString = (bytes, node) =>
+    new TextDecoder(node.tag === 0x1E ? 'utf-16be' : 'utf-8').decode(bytes.subarray(node.start, node.end));
+
+// UTCTime (YYMMDDhhmmssZ) or GeneralizedTime (YYYYMMDDhhmmssZ)
+const decodeDerTime = (bytes, node) => {
+    const text = decodeDerString(bytes, node);
+    const [, year, month, day, hour, minute, second = '0'] = node.tag === 0x17
+        ? text.match(/^(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)?/)
+        : text.match(/^(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)?/);
+    const fullYear = node.tag === 0x17 ? (Number(year) >= 50 ? 1900 : 2000) + Number(year) : Number(year);
+    return new Date(Date.UTC(fullYear, month - 1, day, hour, minute, second));
+};
+
+// "CN=..., O=..., C=JP", most specific part first
+// [{ name, value }] in the order they are encoded (most significant first)
+const decodeNameAttributes = (bytes, node) => derChildren(bytes, node)
+    .flatMap(set => derChildren(bytes, set))
+    .map(attribute => {
+        const [type, value] = derChildren(bytes, attribute);
+        const oid = decodeOid(bytes, type);
+        return { name: DN_ATTRIBUTE_NAMES[oid] || oid, value: decodeDerString(bytes, value) };
+    });
+
+const decodeDistinguishedName = (bytes, node) => decodeNameAttributes(bytes, node)
+    .map(({ name, value }) => `${name}=${value}`)
+    .reverse()
+    .join(', ');
+
+const parseCertificate = (der) => {
+    const [tbsCertificate] = derChildren(der, readDer(der, 0));
+    const fields = derChildren(der, tbsCertificate);
+    // The version field is an optional [0]
+    const [serialNumber, , issuer, validity, subject, publicKeyInfo] = fields.slice(fields[0].tag === 0xA0 ? 1 : 0);
+    const [notBefore, notAfter] = derChildren(der, validity);
+    const [keyAlgorithm] = derChildren(der, publicKeyInfo);
+    const [, keyParameters] = derChildren(der, keyAlgorithm);
+    const commonName = decodeNameAttributes(der, subject).filter(({ name }) => name === 'CN').pop();
+    return {
+        subject: decodeDistinguishedName(der, subject),
+        commonName: commonName ? commonName.value : '',
+        issuer: decodeDistinguishedName(der, issuer),
+        serialNumber: Array.from(der.subarray(serialNumber.start, serialNumber.end), byte => byte.toString(16).padStart(2, '0')).join(''),
+        notBefore: decodeDerTime(der, notBefore),
+        notAfter: decodeDerTime(der, notAfter),
+        namedCurve: keyParameters && keyParameters.tag === 0x06 ? EC_CURVES[decodeOid(der, keyParameters)] : null,
+        publicKeyInfo: der.slice(publicKeyInfo.offset, publicKeyInfo.end)
+    };
+};
+
+// A second element with the same ID is how a signed element gets swapped for an edited copy
+// (signature wrapping), so the reference is refused rather than resolved to either of them
+const findElementById = (xmlDoc, id) => {
+    const matches = Array.from(xmlDoc.getElementsByTagName('*')).filter(element =>
+        Array.from(element.attributes).some(attr => /^id$/i.test(attr.localName) && attr.value === id));
+    if (matches.length > 1) {
+        throw new Error(`ID「${id}」の要素が複数あります（署名対象の差し替えの可能性）`);
+    }
+    return matches[0] || null;
+};
+
+const canonicalizationOptions = (method) => {
+    const algorithm = algorithmOf(method);
+    if (!C14N_METHODS[algorithm]) {
+        throw new Error(`未対応の正規化方式です（${algorithm}）`);
+    }
+    const inclusiveNamespaces = Array.from(method.children).find(child => child.localName === 'InclusiveNamespaces');
+    const prefixList = inclusiveNamespaces ? inclusiveNamespaces.getAttribute('PrefixList') || '' : '';
+    return {
+        ...C14N_METHODS[algorithm],
+        inclusivePrefixes: prefixList.split(/\s+/).filter(Boolean).map(prefix => prefix === '#default' ? '' : prefix)
+    };
+};
+
+// Same-document references ("", "#id") give a node set without comments; other URIs name a
+// loaded file, digested as-is unless a canonicalization transform turns it into XML first.
+// Resolves to { valid, coversDocument }: whether the digest matches and whether the reference
+// takes in the whole document (URI="" or the ID of the root element).
+const digestReference = async (reference, signature, xmlDoc, baseDir) => {
+    const uri = reference.getAttribute('URI');
+    const digestAlgorithm = DIGEST_ALGORITHMS[algorithmOf(dsChild(reference, 'DigestMethod'))];
+    if (!digestAlgorithm) {
+        throw new Error(`未対応のダイジェスト方式です（${algorithmOf(dsChild(reference, 'DigestMethod'))}）`);
+    }
+
+    let node = null;
+    let octets = null;
+    let keepComments = false;
+    if (uri === null) {
+        throw new Error('URIのない参照は検証できません');
+    } else if (uri === '' || uri === '#xpointer(/)') {
+        node = xmlDoc;
+        keepComments = uri !== '';
+    } else if (uri.startsWith('#')) {
+        node = findElementById(xmlDoc, uri.replace(/^#(xpointer\(id\(['"])?|['"]\)\)$/g, ''));
+        if (!node) {
+            throw new Error(`参照先の要素 ${uri} が見つかりません`);
+        }
+    } else {
+        const file = fileIndex.get(resolvePath(baseDir, uri));
+        if (!file) {
+            throw new Error(`参照先のファイル ${uri} が読み込まれていません`);
+        }
+        octets = new Uint8Array(await file.arrayBuffer());
+    }
+    const coversDocument = node === xmlDoc || node === xmlDoc.documentElement;
+
+    let options = { exclusive: false, withComments: false, inclusivePrefixes: [] };
+    let excluded = null;
+    for (const transform of dsChildren(dsChild(reference, 'Transforms'), 'Transform')) {
+        const algorithm = algorithmOf(transform);
+        if (algorithm === ENVELOPED_SIGNATURE_TRANSFORM) {
+            excluded = signature;
+        } else if (C14N_METHODS[algorithm]) {
+            options = canonicalizationOptions(transform);
+            if (octets) {
+                const { text } = decodeXmlBytes(octets);
+                node = new DOMParser().parseFromString(text, 'application/xml');
+                octets = null;
+                keepComments = true;
+            }
+        } else {
+            throw new Error(`未対応の変換です（${algorithm}）`);
+        }
+    }
+    if (node) {
+        const text = canonicalizeXml(node, { ...options, withComments: options.withComments && keepComments, excluded });
+        octets = new TextEncoder().encode(text);
+    }
+
+    const digest = new Uint8Array(await crypto.subtle.digest(digestAlgorithm, octets));
+    return { valid: bytesEqual(digest, decodeBase64(dsChild(reference, 'DigestValue').textContent)), coversDocument };
+};
+
+const importVerificationKey = async (keyInfo, algorithm) => {
+    const certificates = dsChildren(keyInfo, 'X509Data')
+        .flatMap(x509Data => dsChildren(x509Data, 'X509Certificate'))
+        .map(element => parseCertificate(decodeBase64(element.textContent)));
+    const keys = await Promise.all(certificates.map(async certificate => ({
+        certificate,
+        key: await crypto.subtle.importKey('spki', certificate.publicKeyInfo,
+            algorithm.name === 'ECDSA' ? { name: 'ECDSA', namedCurve: certificate.namedCurve } : algorithm,
+            false, ['verify'])
+    })));
+
+    const rsaKeyValue = dsChild(dsChild(dsChild(keyInfo, 'KeyValue'), 'RSAKeyValue'), 'Modulus');
+    if (keys.length === 0 && rsaKeyValue && algorithm.name === 'RSASSA-PKCS1-v1_5') {
+        const jwk = {
+            kty: 'RSA',
+            n: toBase64Url(rsaKeyValue.textContent),
+            e: toBase64Url(dsChild(rsaKeyValue.parentNode, 'Exponent').textContent)
+        };
+        keys.push({ certificate: null, key: await crypto.subtle.importKey('jwk', jwk, algorithm, false, ['verify']) });
+    }
+    if (keys.length === 0) {
+        throw new Error('署名にX.509証明書（公開鍵）が含まれていません');
+    }
+    return keys;
+};
+
+const verifySignatureElement = async (signature, xmlDoc, baseDir) => {
+    const signedInfo = dsChild(signature, 'SignedInfo');
+    const signatureValue = dsChild(signature, 'SignatureValue');
+    if (!signedInfo || !signatureValue) {
+        throw new Error('ds:SignedInfo または ds:SignatureValue がありません');
+    }
+
+    const references = [];
+    for (const reference of dsChildren(signedInfo, 'Reference')) {
+        const uri = reference.getAttribute('URI');
+        try {
+            references.push({ uri, ...await digestReference(reference, signature, xmlDoc, baseDir) });
+        } catch (error) {
+            references.push({ uri, valid: null, coversDocument: false, message: error.message });
+        }
+    }
+
+    const algorithm = SIGNATURE_ALGORITHMS[algorithmOf(dsChild(signedInfo, 'SignatureMethod'))];
+    if (!algorithm) {
+        throw new Error(`未対応の署名方式です（${algorithmOf(dsChild(signedInfo, 'SignatureMethod'))}）`);
+    }
+    const canonicalSignedInfo = new TextEncoder().encode(
+        canonicalizeXml(signedInfo, canonicalizationOptions(dsChild(signedInfo, 'CanonicalizationMethod'))));
+    const signatureBytes = decodeBase64(signatureValue.textContent);
+    const verifyParams = algorithm.name === 'ECDSA' ? algorithm : { name: algorithm.name };
+
+    // With several certificates in X509Data, the signer is the one whose key verifies
+    let signer = null;
+    const keys = await importVerificationKey(dsChild(signature, 'KeyInfo'), algorithm);
+    for (const { certificate, key } of keys) {
+        if (await crypto.subtle.verify(verifyParams, key, signatureBytes, canonicalSignedInfo)) {
+            signer = { certificate };
+            break;
+        }
+    }
+    const certificate = signer ? signer.certificate : keys[0].certificate;
+
+    // The key comes from the document's own KeyInfo and its chain is not checked, so a match
+    // shows the content is unchanged since signing, not who signed it
+    const now = new Date();
+    let status = 'matched';
+    if (!signer || references.some(({ valid }) => valid === false)) {
+        status = 'tampered';
+    } else if (references.length === 0 || references.some(({ valid }) => valid === null)) {
+        status = 'unverifiable';
+    } else if (certificate && (now < certificate.notBefore || now > certificate.notAfter)) {
+        status = 'expired';
+    }
+    return {
+        status,
+        references,
+        certificate,
+        signatureValid: Boolean(signer),
+        coversDocument: Boolean(signer) && references.some(({ valid, coversDocument }) => valid === true && coversDocument)
+    };
+};
+
+const SIGNATURE_STATUS_PRIORITY = ['tampered', 'unverifiable', 'expired', 'matched'];
+
+const verifyXmlSignatures = async (xmlFile) => {
+    const xmlDoc = await parseXmlFile(xmlFile);
+    const signatures = Array.from(xmlDoc.getElementsByTagNameNS(XMLDSIG_NS, 'Signature'));
+    if (signatures.length === 0) {
+        return { status: 'unsigned', signatures: [] };
+    }
+
+    const results = [];
+    for (const signature of signatures) {
+        try {
+            results.push(await verifySignatureElement(signature, xmlDoc, dirnameOf(pathOf(xmlFile))));
+        } catch (error) {
+            results.push({ status: 'unverifiable', references: [], certificate: null, message: error.message });
+        }
+    }
+    const status = SIGNATURE_STATUS_PRIORITY.find(status => results.some(result => result.status === status));
+    // Signatures over parts the stylesheet may not even show prove nothing about the rendered notice
+    if ((status === 'matched' || status === 'expired') && !results.some(result => result.coversDocument)) {
+        return { status: 'unverifiable', signatures: results, message: '文書全体を対象とする署名がありません' };
+    }
+    return { status, signatures: results };
+};
+
+// Keyed by XML path; an entry is reused only while it still belongs to the same File
+const signatureResults = new Map();
+
+const getSignatureResult = (xmlFile) => {
+    const path = pathOf(xmlFile);
+    const cached = signatureResults.get(path);
+    if (cached && cached.file === xmlFile) {
+        return cached.promise;
+    }
+    const promise = verifyXmlSignatures(xmlFile)
+        .catch(error => ({ status: 'unverifiable', signatures: [], message: error.message }));
+    signatureResults.set(path, { file: xmlFile, promise });
+    return promise;
+};
+
+// East Asian Width (UAX #11), reduced to the ranges that occur in e-Gov documents.
+// Wide (W) and Fullwidth (F) take two columns; Ambiguous (A) counts as wide, as it does in
+// Japanese fonts; half-width katakana and other narrow characters take one.
+const EAW_WIDE_RANGES = [
+    [0x1100, 0x115F], [0x2E80, 0x303E], [0x3041, 0x33FF], [0x3400, 0x4DBF], [0x4E00, 0x9FFF],
+    [0xA000, 0xA4CF], [0xAC00, 0xD7A3], [0xF900, 0xFAFF], [0xFE30, 0xFE4F], [0xFF00, 0xFF60],
+    [0xFFE0, 0xFFE6], [0x1F300, 0x1F64F], [0x1F900, 0x1F9FF], [0x20000, 0x3FFFD]
+];
+const EAW_AMBIGUOUS_RANGES = [
+    [0x00A7, 0x00A8], [0x00B0, 0x00B1], [0x00B4, 0x00B4], [0x00B6, 0x00B6], [0x00D7, 0x00D7],
+    [0x00F7, 0x00F7], [0x0391, 0x03C9], [0x0401, 0x0451], [0x2010, 0x2027], [0x2030, 0x203B],
+    [0x2103, 0x2103], [0x2116, 0x2116], [0x2121, 0x2122], [0x2160, 0x217F], [0x2190, 0x2199],
+    [0x21D2, 0x21D4], [0x2200, 0x22FF], [0x2460, 0x24FF], [0x2500, 0x257F], [0x25A0, 0x25FF],
+    [0x2600, 0x26FF], [0xE000, 0xF8FF]
+];
+const ZERO_WIDTH_RANGES = [
+    [0x0300, 0x036F], [0x200B, 0x200F], [0x3099, 0x309A], [0xFE00, 0xFE0F]
+];
+
+const inRanges = (ranges, codePoint) => ranges.some(([start, end]) => codePoint >= start && codePoint <= end);
+
+const charColumns = (codePoint) => {
+    if (inRanges(ZERO_WIDTH_RANGES, codePoint)) return 0;
+    if (inRanges(EAW_WIDE_RANGES, codePoint) || inRanges(EAW_AMBIGUOUS_RANGES, codePoint)) return 2;
+    return 1;
+};
+
+const WHITESPACE_POLICIES = {
+    // Drop source line breaks with their indentation; spaces inside the text stay
+    'join-lines': (text) => text.replace(/[ \t]*[\r\n]+[ \t]*/g, '').replace(/\t/g, '').trim(),
+    // Keep the author's line breaks and wrap each line on its own
+    'preserve-lines': (text) => text.replace(/\r\n?/g, '\n').replace(/\t/g, ' '),
+    // Every whitespace run becomes a single space
+    'collapse': (text) => text.replace(/\s+/g, ' ').trim(),
+    // Remove all half-width whitespace (full-width spaces are kept)
+    'strip': (text) => text.replace(/[ \t\r\n]/g, '')
+};
+
+// Breaks text so no line is wider than `width` half-width columns
+const wrapText = (text, width) => text.split('\n').map(line => {
+    let wrapped = '';
+    let columns = 0;
+    for (const char of line) {
+        const charWidth = charColumns(char.codePointAt(0));
+        if (columns + charWidth > width && columns > 0) {
+            wrapped += '\n';
+            columns = 0;
+        }
+        wrapped += char;
+        columns += charWidth;
+    }
+    return wrapped;
+}).join('\n');
+
+const TEXT_FORMAT_ACTIONS = {
+    wrap: (element, rule) => {
+        const normalize = WHITESPACE_POLICIES[rule.whitespace || 'join-lines'];
+        element.textContent = wrapText(normalize(element.textContent), rule.wrapWidth);
+    },
+    removeClass: (element, rule) => {
+        element.classList.remove(...rule.classes);
+    },
+    center: (element) => {
+        // Remove conflicting flex styles if they exist inline
+        if (element.style.display === 'flex') {
+            element.style.display = '';
+        }
+        element.style.justifyContent = '';
+        element.style.textAlign = 'center';
+    }
+};
+
+// Formatting fixes for XSL output that does not lay out well in the browser.
+//   forms:      XSL file names (with or without .xsl) or XSL titles the rule is limited to; omit for every form
+//   selector:   elements the rule applies to; textEquals narrows them to cells with exactly that text
+//   action:     one of TEXT_FORMAT_ACTIONS; wrap takes wrapWidth (half-width columns) and whitespace
+const textFormatRules = [];
+
+const registerTextFormatRule = (rule) => {
+    if (!TEXT_FORMAT_ACTIONS[rule.action]) {
+        throw new Error(`未対応の整形ルールです: ${rule.action}`);
+    }
+    if (rule.action === 'wrap' && !(rule.wrapWidth > 0)) {
+        throw new Error(`折り返し幅が指定されていません: ${rule.name}`);
+    }
+    if (rule.whitespace && !WHITESPACE_POLICIES[rule.whitespace]) {
+        throw new Error(`未対応の空白の扱いです: ${rule.whitespace}`);
+    }
+    textFormatRules.push(rule);
+};
+
+registerTextFormatRule({ name: 'お知らせ欄', selector: 'pre.oshirase', action: 'wrap', wrapWidth: 52, whitespace: 'join-lines' });
+registerTextFormatRule({ name: '教示文', selector: 'pre.kyouji', action: 'wrap', wrapWidth: 96, whitespace: 'join-lines' });
+// The equality class lays rows out with flexbox, which breaks the table layout
+registerTextFormatRule({ name: 'equality', selector: '.equality', action: 'removeClass', classes: ['equality'] });
+registerTextFormatRule({
+    name: '見出しセルの中央揃え',
+    selector: 'table td, table th',
+    textEquals: ['被保険者整理番号', '変更内容'],
+    action: 'center'
+});
+
+const ruleAppliesTo = (rule, pairData) => {
+    if (!rule.forms || rule.forms.length === 0) return true;
+    if (!pairData) return false;
+    const xslName = pairData.xsl.name;
+    return rule.forms.some(form => form === xslName || `${form}.xsl` === xslName || form === pairData.title);
+};
+
+const applyTextFormatting = (contents, pairData) => {
+    textFormatRules
+        .filter(rule => ruleAppliesTo(rule, pairData))
+        .forEach(rule => {
+            contents.querySelectorAll(rule.selector).forEach(element => {
+                if (rule.textEquals && !rule.textEquals.includes(element.textContent.trim())) return;
+                TEXT_FORMAT_ACTIONS[rule.action](element, rule);
+            });
+        });
+};
+
+// A4 sizes and margins match the @page rules in index.html
+const MM_TO_PT = 72 / 25.4;
+const PDF_PAGE_MARGIN_MM = { top: 15, right: 8, bottom: 8, left: 8 };
+const PDF_RASTER_SCALE = 2;
+const PDF_JPEG_QUALITY = 0.92;
+
+const PRINT_SETTINGS_STORAGE_KEY = 'egov-viewer.printSettings';
+const PRINT_MARGIN_SLOTS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+const PRINT_MARGIN_FIELDS = [
+    ['', 'なし'],
+    ['title', '文書名'],
+    ['jigyousho', '事業所名'],
+    ['source', '元ファイル名'],
+    ['date', '印刷日'],
+    ['page', 'ページ番号 (x / y)']
+];
+const PRINT_MARGIN_FONT_SIZE_PT = 8;
+
+// Placeholders for exported file names; metadata labels such as {通知年月日} work as well
+const EXPORT_FILE_NAME_FIELDS = [
+    ['no', '通し番号'],
+    ['title', '文書名'],
+    ['jigyousho', '事業所名'],
+    ['basename', 'XMLファイル名']
+];
+
+const DEFAULT_PRINT_SETTINGS = {
+    enabled: false,
+    fileNameTemplate: '{no}_{title}_{jigyousho}',
+    slots: {
+        'top-left': 'title',
+        'top-center': '',
+        'top-right': 'jigyousho',
+        'bottom-left': 'source',
+        'bottom-center': 'page',
+        'bottom-right': 'date'
+    }
+};
+
+const loadPrintSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PRINT_SETTINGS_STORAGE_KEY));
+        if (saved && saved.slots) {
+            return { ...DEFAULT_PRINT_SETTINGS, ...saved, slots: { ...DEFAULT_PRINT_SETTINGS.slots, ...saved.slots } };
+        }
+    } catch (e) {
+        // fall back to the defaults
+    }
+    return { ...DEFAULT_PRINT_SETTINGS, slots: { ...DEFAULT_PRINT_SETTINGS.slots } };
+};
+
+let printSettings = loadPrintSettings();
+
+const savePrintSettings = (settings) => {
+    printSettings = settings;
+    localStorage.setItem(PRINT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+// Header/footer text per slot. Without a page number the 'page' slot is left out, for the
+// print CSS to fill in with counter(page).
+const printMarginTexts = (pairData, pageNumber, pageCount) => {
+    if (!printSettings.enabled || !pairData) return {};
+    const values = {
+        title: pairData.title || pairData.basename,
+        jigyousho: pairData.jigyoushoName || '',
+        source: pathOf(pairData.xml),
+        date: new Date().toLocaleDateString('ja-JP'),
+        page: pageNumber ? `${pageNumber} / ${pageCount}` : ''
+    };
+    const texts = {};
+    PRINT_MARGIN_SLOTS.forEach(slot => {
+        const field = printSettings.slots[slot];
+        if (field && values[field]) {
+            texts[slot] = values[field];
+        }
+    });
+    return texts;
+};
+
+const toCssString = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/[\r\n]+/g, ' ')}"`;
+
+// @page margin boxes for the browser's print engine; pageName '' targets every page.
+// In a batch print the page counter restarts with every document (see printDocuments), but
+// counter(pages) can only count the whole job, so there the slot shows the page number alone.
+const buildPrintMarginCss = (pageName, pairData, { batch = false } = {}) => {
+    if (!printSettings.enabled) return '';
+    const texts = printMarginTexts(pairData);
+    const boxes = PRINT_MARGIN_SLOTS.map(slot => {
+        const content = printSettings.slots[slot] === 'page'
+            ? (batch ? 'counter(page)' : 'counter(page) " / " counter(pages)')
+            : texts[slot] && toCssString(texts[slot]);
+        if (!content) return '';
+        return `@${slot} { content: ${content}; font-size: ${PRINT_MARGIN_FONT_SIZE_PT}pt; color: #333; font-family: sans-serif; }`;
+    }).filter(Boolean).join('\n');
+    return `@page ${pageName} {\n${boxes}\n}`;
+};
+
+const rasterizeContents = async (contents, isLandscape) => {
+    const cssWidth = isLandscape ? 1123 : 794;
+    const cssHeight = Math.max(contents.scrollHeight, 1);
+
+    // contents is the body of a document frame; its own <style> elements carry the XSL and page CSS
+    const styles = Array.from(contents.ownerDocument.querySelectorAll('style'))
+        .map(style => style.textContent)
+        .join('\n')
+        .replace(/]]>/g, ']] >');
+    const clone = contents.cloneNode(true);
+    clone.querySelectorAll('mark.search-hit').forEach(mark => mark.replaceWith(...mark.childNodes));
+    const markup = new XMLSerializer().serializeToString(clone);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${cssWidth}" height="${cssHeight}">` +
+        `<foreignObject x="0" y="0" width="100%" height="100%">` +
+        `<div xmlns="http://www.w3.org/1999/xhtml" style="margin: 0; width: ${cssWidth}px; max-width: none; background: white;">` +
+        `<style><![CDATA[${styles}]]></style>${markup}</div></foreignObject></svg>`;
+
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = () => reject(new Error('文書の画像化に失敗しました'));
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    });
+    return { image, cssWidth, cssHeight };
+};
+
+const canvasToJpeg = async (canvas) => {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', PDF_JPEG_QUALITY));
+    if (!blob) {
+        throw new Error('ページ画像の作成に失敗しました');
+    }
+    return {
+        data: new Uint8Array(await blob.arrayBuffer()),
+        pixelWidth: canvas.width,
+        pixelHeight: canvas.height
+    };
+};
+
+// Draws one header or footer band (the page margin strip) with the configured texts
+const renderMarginBand = async (texts, slots, widthPt, heightPt, insetPt) => {
+    const pxPerPt = PDF_RASTER_SCALE * 96 / 72;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(widthPt * pxPerPt);
+    canvas.height = Math.round(heightPt * pxPerPt);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#333333';
+    ctx.font = `${PRINT_MARGIN_FONT_SIZE_PT * pxPerPt}px sans-serif`;
+    ctx.textBaseline = 'middle';
+
+    const inset = insetPt * pxPerPt;
+    const maxWidth = canvas.width / 3 - inset;
+    const positions = { left: inset, center: canvas.width / 2, right: canvas.width - inset };
+    slots.forEach(slot => {
+        if (!texts[slot]) return;
+        const align = slot.split('-')[1];
+        ctx.textAlign = align;
+        ctx.fillText(texts[slot], positions[align], canvas.height / 2, maxWidth);
+    });
+    return canvasToJpeg(canvas);
+};
+
+// Blocks a page break should not cut through: table rows, paragraphs, list items, images and
+// divs holding only inline content. Offsets are CSS px from the top of contents, which is laid
+// out at the same width as the rasterized image.
+const PDF_UNBREAKABLE_SELECTOR = 'tr, p, li, dt, dd, h1, h2, h3, h4, h5, h6, img, svg, caption, div';
+
+const collectUnbreakableSpans = (contents) => {
+    const origin = contents.getBoundingClientRect().top;
+    return Array.from(contents.querySelectorAll(PDF_UNBREAKABLE_SELECTOR))
+        .filter(element => !element.closest('.viewer-annotations') &&
+            !(element.localName === 'div' && element.querySelector('div, table, p, ul, ol, dl')))
+        .map(element => element.getBoundingClientRect())
+        .filter(rect => rect.height > 0)
+        .map(rect => ({ top: Math.floor(rect.top - origin), bottom: Math.ceil(rect.bottom - origin) }));
+};
+
+// Page slices of at most sliceHeight px. Each slice ends before the first block that would cross
+// the page edge; a block taller than a whole page is cut at the edge as before.
+const planPdfSlices = (spans, cssHeight, sliceHeight) => {
+    const slices = [];
+    for (let top = 0; top < cssHeight;) {
+        let end = Math.min(top + sliceHeight, cssHeight);
+        if (end < cssHeight) {
+            let crossing;
+            while ((crossing = spans.filter(span => span.top > top && span.top < end && span.bottom > end)).length > 0) {
+                end = Math.min(...crossing.map(span => span.top));
+            }
+        }
+        slices.push({ top, height: end - top });
+        top = end;
+    }
+    return slices;
+};
+
+const renderPdfPages = async (contents, isLandscape, pairData) => {
+    const { image, cssWidth, cssHeight } = await rasterizeContents(contents, isLandscape);
+
+    const pageWidth = (isLandscape ? 297 : 210) * MM_TO_PT;
+    const pageHeight = (isLandscape ? 210 : 297) * MM_TO_PT;
+    const margin = {
+        top: PDF_PAGE_MARGIN_MM.top * MM_TO_PT,
+        right: PDF_PAGE_MARGIN_MM.right * MM_TO_PT,
+        bottom: PDF_PAGE_MARGIN_MM.bottom * MM_TO_PT,
+        left: PDF_PAGE_MARGIN_MM.left * MM_TO_PT
+    };
+    const ptPerPx = (pageWidth - margin.left - margin.right) / cssWidth;
+    const sliceHeight = Math.floor((pageHeight - margin.top - margin.bottom) / ptPerPx);
+    const slices = planPdfSlices(collectUnbreakableSpans(contents), cssHeight, sliceHeight);
+    const pageCount = slices.length;
+
+    const pages = [];
+    for (const { top, height } of slices) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(cssWidth * PDF_RASTER_SCALE);
+        canvas.height = Math.round(height * PDF_RASTER_SCALE);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, top, cssWidth, height, 0, 0, canvas.width, canvas.height);
+
+        const images = [{
+            ...await canvasToJpeg(canvas),
+            x: margin.left,
+            y: pageHeight - margin.top - height * ptPerPx,
+            width: cssWidth * ptPerPx,
+            height: height * ptPerPx
+        }];
+
+        const texts = printMarginTexts(pairData, pages.length + 1, pageCount);
+        const headerSlots = PRINT_MARGIN_SLOTS.filter(slot => slot.startsWith('top-') && texts[slot]);
+        const footerSlots = PRINT_MARGIN_SLOTS.filter(slot => slot.startsWith('bottom-') && texts[slot]);
+        if (headerSlots.length > 0) {
+            images.push({
+                ...await renderMarginBand(texts, headerSlots, pageWidth, margin.top, margin.left),
+                x: 0, y: pageHeight - margin.top, width: pageWidth, height: margin.top
+            });
+        }
+        if (footerSlots.length > 0) {
+            images.push({
+                ...await renderMarginBand(texts, footerSlots, pageWidth, margin.bottom, margin.left),
+                x: 0, y: 0, width: pageWidth, height: margin.bottom
+            });
+        }
+
+        pages.push({ width: pageWidth, height: pageHeight, images });
+    }
+    return pages;
+};
+
+const encodePdfText = (text) => {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+    }
+    return `<${hex}>`;
+};
+
+const buildPdf = (pages, title = '') => {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const beginObject = (id) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+    };
+
+    // 1-3 are the catalog, page tree and info; each page then takes a page, a content stream and its images
+    let nextId = 4;
+    const layout = pages.map(page => {
+        const ids = {
+            pageId: nextId,
+            contentId: nextId + 1,
+            imageIds: page.images.map((_, i) => nextId + 2 + i)
+        };
+        nextId += 2 + page.images.length;
+        return ids;
+    });
+    const pageIds = layout.map(({ pageId }) => pageId);
+    const objectCount = nextId - 1;
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+    beginObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    beginObject(2);
+    write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+    beginObject(3);
+    write(`<< /Title ${encodePdfText(title)} /Producer ${encodePdfText('電子公文書XML Viewer')} >>\nendobj\n`);
+
+    const num = (value) => Number(value.toFixed(2));
+
+    pages.forEach((page, i) => {
+        const { pageId, contentId, imageIds } = layout[i];
+        const xObjects = imageIds.map((imageId, j) => `/Im${j} ${imageId} 0 R`).join(' ');
+
+        beginObject(pageId);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+            `/Resources << /XObject << ${xObjects} >> >> /Contents ${contentId} 0 R >>\nendobj\n`);
+
+        const content = page.images
+            .map((image, j) => `q ${num(image.width)} 0 0 ${num(image.height)} ${num(image.x)} ${num(image.y)} cm /Im${j} Do Q\n`)
+            .join('');
+        beginObject(contentId);
+        write(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+
+        page.images.forEach((image, j) => {
+            beginObject(imageIds[j]);
+            write(`<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`);
+            write(image.data);
+            write('\nendstream\nendobj\n');
+        });
+    });
+
+    const xrefOffset = length;
+    let xref = `xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`;
+    for (let id = 1; id <= objectCount; id++) {
+        xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    write(xref);
+    write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+};
+
+const createPdf = async (documents, title) => {
+    const pages = [];
+    for (const { contents, isLandscape, pairData } of documents) {
+        pages.push(...await renderPdfPages(contents, isLandscape, pairData));
+    }
+    return buildPdf(pages, title);
+};
+
+const toSafeFileName = (name) => name.replace(/[\\/:*?"<>|\r\n\t]/g, '_').trim() || 'document';
+
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const createPdfButton = (getDocuments, getFileName) => {
+    const pdfBtn = document.createElement("button");
+    pdfBtn.setAttribute("class", "print-btn");
+    pdfBtn.innerText = "PDFファイル";
+    pdfBtn.title = "印刷ダイアログを使わずにPDFをダウンロード";
+    pdfBtn.onclick = async () => {
+        const label = pdfBtn.innerText;
+        pdfBtn.disabled = true;
+        pdfBtn.innerText = "作成中...";
+        try {
+            const fileName = getFileName();
+            const blob = await createPdf(getDocuments(), fileName);
+            downloadBlob(blob, `${toSafeFileName(fileName)}.pdf`);
+        } catch (error) {
+            console.error('PDF export error:', error);
+            alert(`PDFの作成に失敗しました: ${error.message}`);
+        } finally {
+            pdfBtn.disabled = false;
+            pdfBtn.innerText = label;
+        }
+    };
+    return pdfBtn;
+};
+
+// Transformed documents are shown in sandboxed iframes: no scripts run, and the
+// XSL's own styles cannot reach the viewer UI (nor the viewer's styles the document).
+const DOCUMENT_FRAME_SANDBOX = 'allow-same-origin allow-modals';
+
+const DANGEROUS_ELEMENTS = ['script', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'link', 'portal'];
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'background', 'poster', 'ping', 'srcset'];
+
+const buildDocumentFrameCss = (isLandscape) => {
+    const { top, right, bottom, left } = PDF_PAGE_MARGIN_MM;
+    return `
+        html, body { margin: 0; padding: 0; background: white; }
+        body { overflow: hidden; }
+        pre { margin: 0; padding: 0; }
+        pre.oshirase { white-space: pre; font-size: 7pt; line-height: 11px; letter-spacing: 0; word-spacing: 0; overflow: visible; }
+        pre.kyouji { white-space: pre; letter-spacing: 0; word-spacing: 0; }
+        mark.search-hit { background: #fff176; color: inherit; }
+        mark.search-hit.current { background: #ff9800; outline: 2px solid #e65100; }
+        .viewer-annotations { position: absolute; top: 0; left: 0; width: 0; height: 0; overflow: visible; }
+        .viewer-annotation { position: absolute; box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        .viewer-annotation.stamp, .viewer-annotation.date {
+            padding: 2px 8px; border: 2px solid #d32f2f; border-radius: 4px; color: #d32f2f; background: transparent;
+            font: bold 12pt/1.3 "MS Mincho", "Yu Mincho", serif; text-align: center; white-space: pre; letter-spacing: 0.1em;
+        }
+        .viewer-annotation.date { border-radius: 50%; padding: 6px 12px; font-size: 10pt; }
+        .viewer-annotation.highlight { background: rgba(255, 235, 59, 0.4); mix-blend-mode: multiply; }
+        body { page: ${isLandscape ? 'landscape' : 'portrait'}; }
+        @page portrait { size: A4 portrait; margin: ${top}mm ${right}mm ${bottom}mm ${left}mm; }
+        @page landscape { size: A4 landscape; margin: ${top}mm ${right}mm ${bottom}mm ${left}mm; }
+        @media print {
+            body { zoom: 0.92; }
+            mark.search-hit, mark.search-hit.current { background: none; outline: none; }
+        }
+    `;
+};
+
+const isUnsafeUrl = (name, value) => {
+    const url = value.replace(/[\u0000- ]/g, '').toLowerCase();
+    if (/^(javascript|vbscript):/.test(url)) return true;
+    // Inline images are fine; any other data: URL could carry a document
+    return url.startsWith('data:') && !(name === 'src' && url.startsWith('data:image/'));
+};
+
+// Parses the XSLT output inertly and strips anything that could run code or navigate the viewer
+const sanitizeDocumentHtml = (html) => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    doc.querySelectorAll(DANGEROUS_ELEMENTS.join(',')).forEach(element => element.remove());
+    doc.querySelectorAll('meta[http-equiv]').forEach(element => element.remove());
+
+    doc.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            const lowerName = name.toLowerCase();
+            if (lowerName.startsWith('on') ||
+                (URL_ATTRIBUTES.includes(lowerName) && isUnsafeUrl(lowerName, value)) ||
+                /^\s*(javascript|vbscript):/i.test(value) ||
+                (lowerName === 'style' && /expression\s*\(|javascript:|behavior\s*:|-moz-binding/i.test(value))) {
+                element.removeAttribute(name);
+            }
+        });
+        // SVG animations can rewrite href after sanitisation
+        if (/^(animate|set)$/i.test(element.localName) && /href/i.test(element.getAttribute('attributeName') || '')) {
+            element.remove();
+        }
+    });
+
+    return doc;
+};
+
+const fitDocumentFrame = (frame) => {
+    const frameDoc = frame.contentDocument;
+    if (!frameDoc || !frameDoc.documentElement) return;
+    frame.style.height = `${Math.max(frameDoc.documentElement.scrollHeight, frameDoc.body ? frameDoc.body.scrollHeight : 0)}px`;
+};
+
+// Appends a sandboxed iframe holding the formatted document to `container` (which must already be
+// in the page) and returns the frame's body, the element the search and PDF code work on.
+const mountDocumentFrame = (container, html, pairData) => {
+    const isLandscape = isLandscapePair(pairData);
+    const doc = sanitizeDocumentHtml(html);
+    const style = doc.createElement('style');
+    style.setAttribute('data-viewer', '');
+    style.textContent = buildDocumentFrameCss(isLandscape);
+    doc.head.appendChild(style);
+
+    // The wrapper gives the annotation editor something to position its overlay against
+    const wrapper = document.createElement('div');
+    wrapper.setAttribute('class', 'document-frame-wrapper');
+    const frame = document.createElement('iframe');
+    frame.setAttribute('class', 'document-frame');
+    frame.setAttribute('sandbox', DOCUMENT_FRAME_SANDBOX);
+    frame.setAttribute('title', doc.title || '公文書');
+    wrapper.appendChild(frame);
+    container.appendChild(wrapper);
+
+    const frameDoc = frame.contentDocument;
+    frameDoc.open();
+    frameDoc.write(`<!DOCTYPE html>${doc.documentElement.outerHTML}`);
+    frameDoc.close();
+    applyTextFormatting(frameDoc.body, pairData);
+    renderAnnotationLayer(frameDoc.body, pairData.annotations);
+
+    frame.addEventListener('load', () => fitDocumentFrame(frame));
+    if (window.ResizeObserver) {
+        new ResizeObserver(() => fitDocumentFrame(frame)).observe(frameDoc.documentElement);
+    }
+    fitDocumentFrame(frame);
+
+    return frameDoc.body;
+};
+
+// Single document: the frame's own print, with the configured headers/footers as @page margin boxes
+const printDocumentFrame = (contents, pairData) => {
+    const frameDoc = contents.ownerDocument;
+    let marginStyle = frameDoc.querySelector('style[data-viewer-print]');
+    if (!marginStyle) {
+        marginStyle = frameDoc.createElement('style');
+        marginStyle.setAttribute('data-viewer-print', '');
+        frameDoc.head.appendChild(marginStyle);
+    }
+    marginStyle.textContent = buildPrintMarginCss('', pairData);
+
+    const frameWindow = frameDoc.defaultView;
+    frameWindow.focus();
+    frameWindow.print();
+};
+
+// Several documents in one print job: each goes into its own shadow root inside a hidden
+// print frame so their stylesheets stay apart. The cloned <html>/<body> elements keep
+// type selectors such as `body { ... }` from the XSL working inside the shadow tree.
+// Every document gets its own named page, so size and header/footer texts follow it.
+const printDocuments = (documents) => {
+    const { top, right, bottom, left } = PDF_PAGE_MARGIN_MM;
+    const printFrame = document.createElement('iframe');
+    printFrame.setAttribute('sandbox', DOCUMENT_FRAME_SANDBOX);
+    printFrame.style.cssText = "position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;";
+    document.body.appendChild(printFrame);
+
+    const pageRules = documents.map(({ isLandscape, pairData }, index) => [
+        `@page document-${index} { size: A4 ${isLandscape ? 'landscape' : 'portrait'}; margin: ${top}mm ${right}mm ${bottom}mm ${left}mm; }`,
+        buildPrintMarginCss(`document-${index}`, pairData, { batch: true })
+    ].join('\n')).join('\n');
+
+    const printDoc = printFrame.contentDocument;
+    printDoc.open();
+    printDoc.write(`<!DOCTYPE html><html><head><title>${escapeXml(document.title)}</title><style>
+        html, body { margin: 0; padding: 0; }
+        /* Page numbers restart with each document, as they do in single prints and PDF files */
+        .print-page { display: block; break-after: page; counter-reset: page 1; }
+        .print-page:last-child { break-after: auto; }
+        ${pageRules}
+    </style></head><body></body></html>`);
+    printDoc.close();
+
+    documents.forEach(({ contents }, index) => {
+        const page = printDoc.createElement('div');
+        page.setAttribute('class', 'print-page');
+        page.setAttribute('style', `page: document-${index};`);
+        const shadowRoot = page.attachShadow({ mode: 'open' });
+        shadowRoot.appendChild(printDoc.importNode(contents.ownerDocument.documentElement, true));
+        // The frame CSS names the body's page; here the host's page applies instead
+        const pageReset = printDoc.createElement('style');
+        pageReset.textContent = 'body { page: auto !important; }';
+        shadowRoot.appendChild(pageReset);
+        printDoc.body.appendChild(page);
+    });
+
+    printFrame.contentWindow.addEventListener('afterprint', () => printFrame.remove());
+    printFrame.contentWindow.focus();
+    printFrame.contentWindow.print();
+};
+
+// Stamps and highlights drawn over a rendered document. They live on pairData.annotations
+// (saved with the session) and are rendered into the document frame, so print, batch print and
+// PDF output include them; the XML itself is never touched.
+//   { id, type: 'date' | 'stamp' | 'highlight', x, y, width?, height?, text?, date? }
+// Coordinates are CSS px from the top left of the document.
+const ANNOTATION_TOOLS = [
+    ['date', '日付印'],
+    ['stamp', '文字印'],
+    ['highlight', 'ハイライト']
+];
+const MIN_HIGHLIGHT_SIZE_PX = 4;
+
+const formatStampDate = (date) =>
+    `${date.getFullYear()}.${String(date.getMonth() + 1).padStart(2, '0')}.${String(date.getDate()).padStart(2, '0')}`;
+
+const renderAnnotationLayer = (contents, annotations = []) => {
+    const frameDoc = contents.ownerDocument;
+    const existing = frameDoc.querySelector('.viewer-annotations');
+    if (existing) existing.remove();
+
+    const layer = frameDoc.createElement('div');
+    layer.setAttribute('class', 'viewer-annotations');
+    annotations.forEach(annotation => {
+        const element = frameDoc.createElement('div');
+        element.setAttribute('class', `viewer-annotation ${annotation.type}`);
+        element.setAttribute('data-annotation-id', annotation.id);
+        element.style.left = `${annotation.x}px`;
+        element.style.top = `${annotation.y}px`;
+        if (annotation.type === 'highlight') {
+            element.style.width = `${annotation.width}px`;
+            element.style.height = `${annotation.height}px`;
+        } else {
+            element.textContent = annotation.type === 'date' ? `${annotation.text}\n${annotation.date}` : annotation.text;
+        }
+        layer.appendChild(element);
+    });
+    contents.appendChild(layer);
+    return layer;
+};
+
+// Editing happens on an overlay in the viewer page: the document frame runs no scripts.
+const createAnnotationEditor = (contents, pairData) => {
+    const frameDoc = contents.ownerDocument;
+    const wrapper = frameDoc.defaultView.frameElement.parentNode;
+
+    const overlay = document.createElement("div");
+    overlay.setAttribute("class", "annotation-overlay");
+    overlay.tabIndex = 0;
+    const selectionBox = document.createElement("div");
+    selectionBox.setAttribute("class", "annotation-selection");
+    overlay.appendChild(selectionBox);
+    wrapper.appendChild(overlay);
+
+    const toolbar = document.createElement("div");
+    toolbar.setAttribute("class", "header-left annotation-toolbar");
+
+    let active = false;
+    let tool = null;
+    let selectedId = null;
+    let drag = null;
+
+    const annotations = () => {
+        if (!pairData.annotations) {
+            pairData.annotations = [];
+        }
+        return pairData.annotations;
+    };
+
+    const elementFor = (id) => frameDoc.querySelector(`[data-annotation-id="${id}"]`);
+
+    const drawSelection = () => {
+        const element = selectedId && elementFor(selectedId);
+        if (!active || !element) {
+            selectionBox.style.display = "none";
+            return;
+        }
+        const rect = element.getBoundingClientRect();
+        selectionBox.style.cssText = `display: block; left: ${rect.left - 3}px; top: ${rect.top - 3}px; ` +
+            `width: ${rect.width + 6}px; height: ${rect.height + 6}px;`;
+    };
+
+    const redraw = () => {
+        renderAnnotationLayer(contents, pairData.annotations);
+        drawSelection();
+    };
+
+    const commit = () => {
+        redraw();
+        scheduleSessionSave();
+    };
+
+    // Overlay point in the layer's coordinates (the XSL may offset or position the body)
+    const pointFrom = (e) => {
+        const overlayRect = overlay.getBoundingClientRect();
+        const layer = frameDoc.querySelector('.viewer-annotations');
+        const origin = layer ? layer.getBoundingClientRect() : { left: 0, top: 0 };
+        return {
+            x: e.clientX - overlayRect.left - origin.left,
+            y: e.clientY - overlayRect.top - origin.top,
+            clientX: e.clientX - overlayRect.left,
+            clientY: e.clientY - overlayRect.top
+        };
+    };
+
+    const hitTest = ({ clientX, clientY }) => annotations().slice().reverse().find(annotation => {
+        const element = elementFor(annotation.id);
+        if (!element) return false;
+        const rect = element.getBoundingClientRect();
+        return clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom;
+    });
+
+    const removeSelected = () => {
+        if (!selectedId) return;
+        pairData.annotations = annotations().filter(annotation => annotation.id !== selectedId);
+        selectedId = null;
+        commit();
+    };
+
+    const editText = (annotation) => {
+        if (annotation.type === 'highlight') return;
+        const text = prompt('印の文字', annotation.text);
+        if (text === null) return;
+        annotation.text = text.trim() || annotation.text;
+        if (annotation.type === 'date') {
+            const date = prompt('日付', annotation.date);
+            if (date !== null && date.trim()) {
+                annotation.date = date.trim();
+            }
+        }
+        commit();
+    };
+
+    overlay.onmousedown = (e) => {
+        e.preventDefault();
+        overlay.focus();
+        const point = pointFrom(e);
+        const hit = hitTest(point);
+        if (hit) {
+            selectedId = hit.id;
+            drag = { mode: 'move', annotation: hit, offsetX: point.x - hit.x, offsetY: point.y - hit.y };
+            drawSelection();
+            return;
+        }
+
+        selectedId = null;
+        const id = `annotation_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+        if (tool === 'highlight') {
+            const annotation = { id, type: 'highlight', x: point.x, y: point.y, width: 0, height: 0 };
+            annotations().push(annotation);
+            drag = { mode: 'resize', annotation, startX: point.x, startY: point.y };
+        } else if (tool === 'date' || tool === 'stamp') {
+            const text = prompt(tool === 'date' ? '日付印の見出し（例: 受付日）' : '印の文字（例: 処理済、担当者名）',
+                tool === 'date' ? '受付日' : '処理済');
+            if (!text || !text.trim()) return;
+            const annotation = { id, type: tool, x: point.x, y: point.y, text: text.trim() };
+            if (tool === 'date') {
+                annotation.date = formatStampDate(new Date());
+            }
+            annotations().push(annotation);
+            selectedId = id;
+            commit();
+        }
+        drawSelection();
+    };
+
+    overlay.onmousemove = (e) => {
+        if (!drag) return;
+        const point = pointFrom(e);
+        const { annotation } = drag;
+        if (drag.mode === 'move') {
+            annotation.x = Math.max(0, point.x - drag.offsetX);
+            annotation.y = Math.max(0, point.y - drag.offsetY);
+        } else {
+            annotation.x = Math.min(drag.startX, point.x);
+            annotation.y = Math.min(drag.startY, point.y);
+            annotation.width = Math.abs(point.x - drag.startX);
+            annotation.height = Math.abs(point.y - drag.startY);
+        }
+        redraw();
+    };
+
+    overlay.onmouseup = () => {
+        if (!drag) return;
+        const { annotation, mode } = drag;
+        drag = null;
+        if (mode === 'resize' && (annotation.width < MIN_HIGHLIGHT_SIZE_PX || annotation.height < MIN_HIGHLIGHT_SIZE_PX)) {
+            pairData.annotations = annotations().filter(item => item !== annotation);
+        } else if (mode === 'resize') {
+            selectedId = annotation.id;
+        }
+        commit();
+    };
+
+    overlay.ondblclick = (e) => {
+        const hit = hitTest(pointFrom(e));
+        if (hit) editText(hit);
+    };
+
+    overlay.onkeydown = (e) => {
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            removeSelected();
+        } else if (e.key === 'Escape') {
+            selectedId = null;
+            drawSelection();
+        }
+    };
+
+    const toggleBtn = document.createElement("button");
+    toggleBtn.setAttribute("class", "home-btn");
+    toggleBtn.innerText = "注記";
+    toggleBtn.title = "受付印・処理済印・ハイライトを付ける";
+
+    const toolButtons = ANNOTATION_TOOLS.map(([value, label]) => {
+        const button = document.createElement("button");
+        button.setAttribute("class", "home-btn annotation-tool");
+        button.innerText = label;
+        button.onclick = () => {
+            tool = tool === value ? null : value;
+            toolButtons.forEach(({ button: other, value: otherValue }) => {
+                other.classList.toggle('selected', tool === otherValue);
+            });
+        };
+        return { button, value };
+    });
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.setAttribute("class", "btn-delete");
+    deleteBtn.innerText = "選択を削除";
+    deleteBtn.onclick = removeSelected;
+
+    const hint = document.createElement("span");
+    hint.style.cssText = "font-size: 12px; color: #666;";
+    hint.innerText = "印を選んで文書上をクリック（ハイライトはドラッグ）。ドラッグで移動、ダブルクリックで文字を変更";
+
+    const controls = [...toolButtons.map(({ button }) => button), deleteBtn, hint];
+
+    const setActive = (value) => {
+        active = value;
+        overlay.classList.toggle('active', active);
+        toggleBtn.innerText = active ? "注記を終了" : "注記";
+        controls.forEach(control => {
+            control.style.display = active ? "" : "none";
+        });
+        if (!active) {
+            selectedId = null;
+        }
+        drawSelection();
+    };
+    toggleBtn.onclick = () => setActive(!active);
+
+    toolbar.append(toggleBtn, ...controls);
+    setActive(false);
+    return toolbar;
+};
+
+const ORIENTATION_OVERRIDES_STORAGE_KEY = 'egov-viewer.orientationOverrides';
+const A4_PORTRAIT_WIDTH_PX = 794;
+// Declared widths beyond this only fit on a landscape page (A4 portrait is 210mm wide)
+const LANDSCAPE_MIN_WIDTH_MM = 230;
+
+const LENGTH_TO_MM = { mm: 1, cm: 10, in: 25.4, pt: 25.4 / 72, px: 25.4 / 96 };
+
+const toMillimetres = (value, unit) => parseFloat(value) * (LENGTH_TO_MM[(unit || 'px').toLowerCase()] || 0);
+
+// 'landscape' | 'portrait' from an @page size declaration, or null
+const orientationFromPageSize = (size) => {
+    if (/landscape/i.test(size)) return 'landscape';
+    if (/portrait/i.test(size)) return 'portrait';
+    const lengths = Array.from(size.matchAll(/([\d.]+)\s*(mm|cm|in|pt|px)/gi), ([, value, unit]) => toMillimetres(value, unit));
+    if (lengths.length === 2) {
+        return lengths[0] > lengths[1] ? 'landscape' : 'portrait';
+    }
+    return /^\s*[AB]\d\s*$/i.test(size) ? 'portrait' : null;
+};
+
+// Looks at the stylesheet's CSS: an explicit @page size wins, otherwise very wide declared widths
+// (style rules, style attributes or width attributes on literal result elements) mean landscape.
+const detectStylesheetOrientation = (xslDoc) => {
+    const elements = Array.from(xslDoc.getElementsByTagNameNS('*', '*'));
+    const cssText = elements
+        .filter(element => element.localName === 'style')
+        .map(element => element.textContent)
+        .concat(elements.map(element => element.getAttribute('style')).filter(Boolean))
+        .join('\n');
+
+    for (const [, declarations] of cssText.matchAll(/@page[^{]*\{([^}]*)\}/gi)) {
+        const size = declarations.match(/size\s*:\s*([^;]+)/i);
+        const orientation = size && orientationFromPageSize(size[1]);
+        if (orientation) return orientation;
+    }
+
+    const widths = Array.from(cssText.matchAll(/(?:^|[\s;{])(?:min-)?width\s*:\s*([\d.]+)\s*(mm|cm|in|pt|px)/gi),
+        ([, value, unit]) => toMillimetres(value, unit));
+    elements.forEach(element => {
+        const width = element.getAttribute('width');
+        const match = width && width.match(/^\s*([\d.]+)\s*(mm|cm|in|pt|px)?\s*$/i);
+        if (match) widths.push(toMillimetres(match[1], match[2]));
+    });
+    return widths.some(width => width > LANDSCAPE_MIN_WIDTH_MM) ? 'landscape' : null;
+};
+
+const loadOrientationOverrides = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ORIENTATION_OVERRIDES_STORAGE_KEY));
+        if (saved && saved.documents && saved.stylesheets) return saved;
+    } catch (error) {
+        console.error('Orientation overrides load error:', error);
+    }
+    return { documents: {}, stylesheets: {} };
+};
+
+// documents are keyed by XML path, stylesheets by title and file name so the choice carries over
+// to later loads without reaching unrelated forms that share a generic name such as kagami.xsl
+let orientationOverrides = loadOrientationOverrides();
+
+const stylesheetOrientationKey = (pairData) => `${pairData.title || ''}/${pairData.xsl.name}`;
+
+const setOrientationOverride = (scope, key, orientation) => {
+    if (orientation) {
+        orientationOverrides[scope][key] = orientation;
+    } else {
+        delete orientationOverrides[scope][key];
+    }
+    localStorage.setItem(ORIENTATION_OVERRIDES_STORAGE_KEY, JSON.stringify(orientationOverrides));
+};
+
+// { orientation, source }: per-document override, per-stylesheet override, the XSL's CSS,
+// the measured width of an earlier rendering, then portrait
+const resolveOrientation = (pairData) => {
+    const documentOverride = orientationOverrides.documents[pathOf(pairData.xml)];
+    if (documentOverride) return { orientation: documentOverride, source: 'document' };
+
+    const stylesheetOverride = orientationOverrides.stylesheets[stylesheetOrientationKey(pairData)];
+    if (stylesheetOverride) return { orientation: stylesheetOverride, source: 'stylesheet' };
+
+    const xslData = xslCache.get(pairData.xslPath);
+    if (xslData && xslData.orientation) return { orientation: xslData.orientation, source: 'detected' };
+
+    if (pairData.measuredOrientation) return { orientation: pairData.measuredOrientation, source: 'measured' };
+    return { orientation: 'portrait', source: 'default' };
+};
+
+const isLandscapePair = (pairData) => resolveOrientation(pairData).orientation === 'landscape';
+
+const applyFrameOrientation = (container, contents, isLandscape) => {
+    container.setAttribute("class", isLandscape ? "container landscape" : "container");
+    const style = contents.ownerDocument.querySelector('style[data-viewer]');
+    if (style) {
+        style.textContent = buildDocumentFrameCss(isLandscape);
+    }
+};
+
+// Last resort when the XSL says nothing: content wider than an A4 portrait page is landscape.
+// Measured once per entry, in the portrait container it was first rendered in.
+const measureOrientation = (pairData, container, contents) => {
+    if (resolveOrientation(pairData).source !== 'default') return;
+    const contentWidth = contents.ownerDocument.documentElement.scrollWidth;
+    pairData.measuredOrientation = contentWidth > A4_PORTRAIT_WIDTH_PX * 1.05 ? 'landscape' : 'portrait';
+    if (pairData.measuredOrientation === 'landscape') {
+        applyFrameOrientation(container, contents, true);
+    }
+};
+
+const ORIENTATION_SOURCE_LABELS = {
+    document: 'この文書で指定',
+    stylesheet: 'このXSLで指定',
+    detected: 'XSLから検出',
+    measured: '表示幅から判定',
+    default: '既定'
+};
+
+const createOrientationSelect = (pairData, onChange) => {
+    const { orientation, source } = resolveOrientation(pairData);
+    const documentKey = pathOf(pairData.xml);
+    const stylesheetKey = stylesheetOrientationKey(pairData);
+    const stylesheetLabel = pairData.title ? `${pairData.title}（${pairData.xsl.name}）` : pairData.xsl.name;
+
+    const select = document.createElement("select");
+    select.setAttribute("class", "orientation-select");
+    select.title = `用紙の向き（${ORIENTATION_SOURCE_LABELS[source]}）`;
+    [
+        ['auto', `自動（${orientation === 'landscape' ? '横' : '縦'}）`],
+        ['document:portrait', '縦（この文書）'],
+        ['document:landscape', '横（この文書）'],
+        ['stylesheet:portrait', `縦（${stylesheetLabel} すべて）`],
+        ['stylesheet:landscape', `横（${stylesheetLabel} すべて）`]
+    ].forEach(([value, label]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.innerText = label;
+        select.appendChild(option);
+    });
+    select.value = source === 'document' || source === 'stylesheet' ? `${source}:${orientation}` : 'auto';
+
+    select.onchange = () => {
+        const [scope, chosen] = select.value.split(':');
+        setOrientationOverride('documents', documentKey, scope === 'document' ? chosen : null);
+        // A document choice leaves the stylesheet rule alone; "auto" clears both
+        if (scope !== 'document') {
+            setOrientationOverride('stylesheets', stylesheetKey, scope === 'stylesheet' ? chosen : null);
+        }
+        onChange();
+    };
+    return select;
+};
+
+const pdfFileNameFor = (pairData) => [pairData.title, pairData.jigyoushoName].filter(Boolean).join('_') || pairData.basename;
+
+const fileStorage = new Map();
+let fileIdCounter = 1;
+const xslCache = new Map();
+const xmlPool = new Map();
+const processedFileKeys = new Set();
+const batchSelection = new Set();
+
+// Load-time and render-time problems keyed by file path, shown in the diagnostics view
+const fileDiagnostics = new Map();
+// uniqueKey -> { xml, xsl, xmlText, renderedText } for full-text search
+const documentTextIndex = new Map();
+// path -> { path, file, directory, kind }: PDFs, images and tables shipped next to the XML
+const attachments = new Map();
+
+const recordDiagnostic = (path, status, message) => {
+    fileDiagnostics.set(path, { path, status, message });
+};
+
+const clearStorage = () => {
+    fileStorage.clear();
+    batchSelection.clear();
+    xslCache.clear();
+    xmlPool.clear();
+    processedFileKeys.clear();
+    fileIndex.clear();
+    fileDiagnostics.clear();
+    documentTextIndex.clear();
+    attachments.clear();
+    signatureResults.clear();
+    stylesheetProcessors.clear();
+    renderCache.clear();
+    cancelLoad();
+};
+
+// Kept and linked to the documents beside them; 'file' kinds can only be downloaded
+const ATTACHMENT_KINDS = {
+    'pdf': 'pdf',
+    'png': 'image', 'jpg': 'image', 'jpeg': 'image', 'gif': 'image', 'bmp': 'image', 'webp': 'image',
+    'csv': 'table',
+    'txt': 'text',
+    'tif': 'file', 'tiff': 'file', 'doc': 'file', 'docx': 'file', 'xls': 'file', 'xlsx': 'file'
+};
+
+const ATTACHMENT_KIND_LABELS = {
+    'pdf': 'PDF',
+    'image': '画像',
+    'table': 'CSV',
+    'text': 'テキスト',
+    'file': '添付'
+};
+
+const attachmentKindOf = (name) => {
+    const match = name.match(/\.([^./]+)$/);
+    return match ? ATTACHMENT_KINDS[match[1].toLowerCase()] : undefined;
+};
+
+// Same folder as the XML; inside an archive, files further up belong to every document below them
+const attachmentsFor = (pairData) => {
+    const directory = pairData.sourceInfo ? pairData.sourceInfo.directory : dirnameOf(pathOf(pairData.xml));
+    return Array.from(attachments.values())
+        .filter(attachment => attachment.directory === directory ||
+            (/\.zip(\/|$)/i.test(attachment.directory) && directory.startsWith(`${attachment.directory}/`)))
+        .sort((a, b) => a.path.localeCompare(b.path));
+};
+
+const MAX_ZIP_DEPTH = 8;
+
+const JIGYOUSHO_FIELD_LABEL = '事業所名';
+const METADATA_FIELDS_STORAGE_KEY = 'egov-viewer.metadataFields';
+
+// Each field is matched by element local name (namespace-agnostic) or by an XPath expression
+const DEFAULT_METADATA_FIELDS = [
+    { label: JIGYOUSHO_FIELD_LABEL, elements: ['事業所名'], xpath: '', showInList: true },
+    { label: '被保険者氏名', elements: ['被保険者氏名'], xpath: '', showInList: true },
+    { label: '被保険者番号', elements: ['被保険者番号', '被保険者整理番号'], xpath: '', showInList: false },
+    { label: '通知年月日', elements: ['通知年月日', '通知日'], xpath: '', showInList: true },
+    { label: '到達番号', elements: ['到達番号'], xpath: '', showInList: false },
+    { label: '手続名', elements: ['手続名', '手続名称'], xpath: '', showInList: false }
+];
+
+const loadMetadataFields = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(METADATA_FIELDS_STORAGE_KEY));
+        if (Array.isArray(saved)) return saved;
+    } catch (e) {
+        // fall back to the defaults
+    }
+    return DEFAULT_METADATA_FIELDS.map(field => ({ ...field, elements: [...field.elements] }));
+};
+
+let metadataFields = loadMetadataFields();
+
+const saveMetadataFields = (fields) => {
+    metadataFields = fields;
+    localStorage.setItem(METADATA_FIELDS_STORAGE_KEY, JSON.stringify(fields));
+};
+
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim();
+
+const extractField = (xmlDoc, field) => {
+    if (field.xpath) {
+        try {
+            const resolver = (prefix) => xmlDoc.documentElement.lookupNamespaceURI(prefix);
+            const result = xmlDoc.evaluate(field.xpath, xmlDoc, resolver, XPathResult.STRING_TYPE, null);
+            const value = normalizeText(result.stringValue);
+            if (value) return value;
+        } catch (e) {
+            console.warn(`XPath error in field ${field.label}:`, e);
+        }
+    }
+
+    const allElements = Array.from(xmlDoc.getElementsByTagName('*'));
+    const names = field.elements || [];
+    // Exact local names first, then the looser "contains" match the original lookup used
+    for (const matches of [(localName, name) => localName === name, (localName, name) => localName.includes(name)]) {
+        for (const name of names) {
+            const elem = allElements.find(el => el.localName && matches(el.localName, name) && normalizeText(el.textContent));
+            if (elem) return normalizeText(elem.textContent);
+        }
+    }
+    return '';
+};
+
+const extractMetadata = (xmlDoc) => {
+    const metadata = {};
+    metadataFields.forEach(field => {
+        metadata[field.label] = extractField(xmlDoc, field);
+    });
+    return metadata;
+};
+
+const reextractMetadata = async () => {
+    const items = [...fileStorage.values(), ...Array.from(xmlPool.values()).flat()];
+    for (const item of items) {
+        const xmlFile = item.xml || item.file;
+        item.metadata = extractMetadata(await parseXmlFile(xmlFile));
+        item.jigyoushoName = item.metadata[JIGYOUSHO_FIELD_LABEL] || '';
+    }
+};
+
+const listedMetadata = (metadata) => metadataFields
+    .filter(field => field.showInList && metadata && metadata[field.label])
+    .map(field => ({ label: field.label, value: metadata[field.label] }));
+
+// The xml-stylesheet PI wins; otherwise fall back to the same-named XSL in the same directory.
+// One stylesheet may serve any number of XMLs.
+const findStylesheetFor = (xmlItem) => {
+    if (xmlItem.stylesheetPath && xslCache.has(xmlItem.stylesheetPath)) {
+        return xslCache.get(xmlItem.stylesheetPath);
+    }
+    return xslCache.get(xmlItem.path.replace(/\.xml$/, '.xsl')) || null;
+};
+
+const buildPairData = (xmlItem, xslData, manuallyPaired = false) => ({
+    basename: xmlItem.basename,
+    xml: xmlItem.file,
+    xsl: xslData.file,
+    xslPath: xslData.path,
+    title: xslData.title,
+    metadata: xmlItem.metadata,
+    jigyoushoName: xmlItem.jigyoushoName,
+    manuallyPaired: manuallyPaired,
+    encodingWarnings: [
+        xmlItem.encodingWarning && `${xmlItem.file.name}: ${xmlItem.encodingWarning}`,
+        xslData.encodingWarning && `${xslData.file.name}: ${xslData.encodingWarning}`
+    ].filter(Boolean),
+    sourceInfo: {
+        sourceIndex: xmlItem.sourceIndex,
+        sourceType: xmlItem.sourceType,
+        sourceName: xmlItem.sourceName,
+        folderName: xmlItem.folderName,
+        path: xmlItem.path,
+        directory: dirnameOf(xmlItem.path),
+        stylesheetPath: xmlItem.stylesheetPath,
+        encodingWarning: xmlItem.encodingWarning
+    }
+});
+
+const createPair = (xmlItem, xslData, manuallyPaired = false) => {
+    const uniqueKey = `${xmlItem.basename}_${fileIdCounter++}_${Date.now()}`;
+    fileStorage.set(uniqueKey, buildPairData(xmlItem, xslData, manuallyPaired));
+    return uniqueKey;
+};
+
+const xmlItemFromPair = (pairData) => ({
+    ...pairData.sourceInfo,
+    file: pairData.xml,
+    basename: pairData.basename,
+    metadata: pairData.metadata,
+    jigyoushoName: pairData.jigyoushoName
+});
+
+const pairPooledXml = (xmlItem, xslData) => {
+    const poolKey = xmlItem.path.replace(/\.xml$/, '');
+    const pooledXmls = (xmlPool.get(poolKey) || []).filter(item => item !== xmlItem);
+    if (pooledXmls.length > 0) {
+        xmlPool.set(poolKey, pooledXmls);
+    } else {
+        xmlPool.delete(poolKey);
+    }
+    return createPair(xmlItem, xslData, true);
+};
+
+// Replaces the stylesheet of an existing entry, or adds a second entry for side-by-side comparison
+const repairEntry = (uniqueKey, xslData, { replace }) => {
+    const pairData = fileStorage.get(uniqueKey);
+    if (!pairData) return null;
+    const xmlItem = xmlItemFromPair(pairData);
+    if (replace) {
+        invalidateRenderCache(uniqueKey);
+        const repaired = buildPairData(xmlItem, xslData, true);
+        // Stamps and highlights belong to the document, not to the stylesheet it is shown with
+        if (pairData.annotations) {
+            repaired.annotations = pairData.annotations;
+        }
+        fileStorage.set(uniqueKey, repaired);
+        return uniqueKey;
+    }
+    return createPair(xmlItem, xslData, true);
+};
+
+const SESSION_DB_NAME = 'egov-viewer';
+const SESSION_DB_VERSION = 1;
+const CURRENT_SESSION_STORAGE_KEY = 'egov-viewer.currentSession';
+const SESSION_SAVE_DELAY_MS = 300;
+
+// Loaded files and the derived state are kept per named session in IndexedDB:
+//   sessions: { id, name, createdAt, updatedAt, ...state with files replaced by their paths }
+//   files:    { sessionId, path, name, type, lastModified, blob } — one record per file in fileIndex
+const sessionState = {
+    db: null,
+    id: null,
+    name: '',
+    createdAt: 0,
+    ready: false,
+    persistedFiles: new Map(),
+    saveTimer: null,
+    saving: Promise.resolve()
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('保存処理が中断されました'));
+});
+
+const openSessionDb = () => {
+    if (!window.indexedDB) {
+        return Promise.reject(new Error('このブラウザではIndexedDBを利用できません'));
+    }
+    const request = window.indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('sessions', { keyPath: 'id' });
+        const filesStore = db.createObjectStore('files', { keyPath: ['sessionId', 'path'] });
+        filesStore.createIndex('sessionId', 'sessionId');
+    };
+    return requestToPromise(request);
+};
+
+const defaultSessionName = () => `セッション ${new Date().toLocaleString('ja-JP')}`;
+
+const serializeSession = () => {
+    let totalSize = 0;
+    for (const file of fileIndex.values()) {
+        totalSize += file.size;
+    }
+    return {
+        id: sessionState.id,
+        name: sessionState.name,
+        createdAt: sessionState.createdAt,
+        updatedAt: Date.now(),
+        documentCount: fileStorage.size,
+        fileCount: fileIndex.size,
+        totalSize: totalSize,
+        fileIdCounter: fileIdCounter,
+        pairs: Array.from(fileStorage, ([uniqueKey, pairData]) =>
+            [uniqueKey, { ...pairData, xml: pathOf(pairData.xml), xsl: pathOf(pairData.xsl) }]),
+        stylesheets: Array.from(xslCache, ([path, xslData]) => [path, { ...xslData, file: pathOf(xslData.file) }]),
+        pool: Array.from(xmlPool, ([poolKey, pooledXmls]) =>
+            [poolKey, pooledXmls.map(xmlItem => ({ ...xmlItem, file: pathOf(xmlItem.file) }))]),
+        processedFileKeys: Array.from(processedFileKeys),
+        attachments: Array.from(attachments.values(), attachment => ({ ...attachment, file: pathOf(attachment.file) })),
+        diagnostics: Array.from(fileDiagnostics.values()),
+        batchSelection: Array.from(batchSelection)
+    };
+};
+
+const saveSession = async () => {
+    const { db, id } = sessionState;
+    if (!sessionState.ready || !db || !id) return;
+
+    const record = serializeSession();
+    const transaction = db.transaction(['sessions', 'files'], 'readwrite');
+    const filesStore = transaction.objectStore('files');
+    // Only new or replaced files are written; the state record is small and rewritten every time
+    for (const [path, file] of fileIndex) {
+        if (sessionState.persistedFiles.get(path) !== file) {
+            filesStore.put({ sessionId: id, path, name: file.name, type: file.type, lastModified: file.lastModified, blob: file });
+        }
+    }
+    for (const path of sessionState.persistedFiles.keys()) {
+        if (!fileIndex.has(path)) {
+            filesStore.delete([id, path]);
+        }
+    }
+    transaction.objectStore('sessions').put(record);
+    await transactionDone(transaction);
+    sessionState.persistedFiles = new Map(fileIndex);
+};
+
+const handleSessionSaveError = (error) => {
+    if (error && error.name === 'QuotaExceededError') {
+        alert('ブラウザの保存容量が不足しているため、セッションを保存できませんでした。\n「セッション」画面で不要なセッションを削除してください。');
+    } else {
+        console.error('Session save error:', error);
+    }
+};
+
+const queueSessionSave = () => {
+    sessionState.saving = sessionState.saving.then(saveSession).catch(handleSessionSaveError);
+    return sessionState.saving;
+};
+
+const scheduleSessionSave = () => {
+    if (!sessionState.ready) return;
+    clearTimeout(sessionState.saveTimer);
+    sessionState.saveTimer = setTimeout(() => {
+        sessionState.saveTimer = null;
+        queueSessionSave();
+    }, SESSION_SAVE_DELAY_MS);
+};
+
+const flushSessionSave = () => {
+    if (sessionState.saveTimer) {
+        clearTimeout(sessionState.saveTimer);
+        sessionState.saveTimer = null;
+        return queueSessionSave();
+    }
+    return sessionState.saving;
+};
+
+const restoreSessionState = (record, fileRecords) => {
+    clearStorage();
+    // Rebuilt as File so the name and timestamp survive browsers that store only the Blob part
+    fileRecords.forEach(({ path, name, type, lastModified, blob }) => {
+        registerFile(path, new File([blob], name, { type, lastModified }));
+    });
+
+    const fileAt = (path) => fileIndex.get(path);
+    record.stylesheets.forEach(([path, xslData]) => {
+        if (fileAt(xslData.file)) {
+            xslCache.set(path, { ...xslData, file: fileAt(xslData.file) });
+        }
+    });
+    record.pairs.forEach(([uniqueKey, pairData]) => {
+        if (fileAt(pairData.xml) && fileAt(pairData.xsl)) {
+            fileStorage.set(uniqueKey, { ...pairData, xml: fileAt(pairData.xml), xsl: fileAt(pairData.xsl) });
+        }
+    });
+    record.pool.forEach(([poolKey, pooledXmls]) => {
+        const items = pooledXmls
+            .filter(xmlItem => fileAt(xmlItem.file))
+            .map(xmlItem => ({ ...xmlItem, file: fileAt(xmlItem.file) }));
+        if (items.length > 0) {
+            xmlPool.set(poolKey, items);
+        }
+    });
+    record.processedFileKeys.forEach(fileKey => processedFileKeys.add(fileKey));
+    // Sessions saved before attachments were kept have no list
+    (record.attachments || []).forEach(attachment => {
+        if (fileAt(attachment.file)) {
+            attachments.set(attachment.path, { ...attachment, file: fileAt(attachment.file) });
+        }
+    });
+    record.diagnostics.forEach(diagnostic => fileDiagnostics.set(diagnostic.path, diagnostic));
+    record.batchSelection.forEach(uniqueKey => {
+        if (fileStorage.has(uniqueKey)) batchSelection.add(uniqueKey);
+    });
+    fileIdCounter = Math.max(fileIdCounter, record.fileIdCounter || 1);
+
+    sessionState.id = record.id;
+    sessionState.name = record.name;
+    sessionState.createdAt = record.createdAt;
+    sessionState.persistedFiles = new Map(fileIndex);
+    localStorage.setItem(CURRENT_SESSION_STORAGE_KEY, record.id);
+};
+
+const listSessions = async () => {
+    const transaction = sessionState.db.transaction('sessions');
+    const sessions = await requestToPromise(transaction.objectStore('sessions').getAll());
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+const loadSession = async (id) => {
+    const transaction = sessionState.db.transaction(['sessions', 'files']);
+    const [record, fileRecords] = await Promise.all([
+        requestToPromise(transaction.objectStore('sessions').get(id)),
+        requestToPromise(transaction.objectStore('files').index('sessionId').getAll(id))
+    ]);
+    if (!record) {
+        throw new Error('セッションが見つかりません');
+    }
+    restoreSessionState(record, fileRecords);
+};
+
+const beginSession = (name) => {
+    sessionState.id = `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    sessionState.name = name;
+    sessionState.createdAt = Date.now();
+    sessionState.persistedFiles = new Map();
+    localStorage.setItem(CURRENT_SESSION_STORAGE_KEY, sessionState.id);
+};
+
+const startNewSession = async (name = defaultSessionName()) => {
+    clearStorage();
+    beginSession(name);
+    await queueSessionSave();
+};
+
+const deleteSessionData = async (id) => {
+    const transaction = sessionState.db.transaction(['sessions', 'files'], 'readwrite');
+    transaction.objectStore('sessions').delete(id);
+    const filesIndex = transaction.objectStore('files').index('sessionId');
+    const keys = await requestToPromise(filesIndex.getAllKeys(id));
+    keys.forEach(key => transaction.objectStore('files').delete(key));
+    await transactionDone(transaction);
+};
+
+const deleteSession = async (id) => {
+    await flushSessionSave();
+    await deleteSessionData(id);
+    if (id === sessionState.id) {
+        await startNewSession();
+    }
+};
+
+const purgeAllSessions = async () => {
+    clearTimeout(sessionState.saveTimer);
+    sessionState.saveTimer = null;
+    await sessionState.saving;
+    const transaction = sessionState.db.transaction(['sessions', 'files'], 'readwrite');
+    transaction.objectStore('sessions').clear();
+    transaction.objectStore('files').clear();
+    await transactionDone(transaction);
+    await startNewSession();
+};
+
+const initSessions = async () => {
+    try {
+        sessionState.db = await openSessionDb();
+        const sessions = await listSessions();
+        const currentId = localStorage.getItem(CURRENT_SESSION_STORAGE_KEY);
+        const target = sessions.find(session => session.id === currentId) || sessions[0];
+        // Files dropped before the database opened start a new session instead of being replaced
+        const hasLoadedFiles = fileIndex.size > 0 || fileDiagnostics.size > 0;
+        sessionState.ready = true;
+        if (target && !hasLoadedFiles) {
+            await loadSession(target.id);
+        } else {
+            beginSession(defaultSessionName());
+            await queueSessionSave();
+        }
+    } catch (error) {
+        console.error('Session restore error:', error);
+        sessionState.db = null;
+    }
+    renderUI();
+};
+
+// The load in progress (or its summary, until closed); renderUI keeps the panel on the page
+const loadProgress = {
+    element: null,
+    running: false,
+    cancelled: false,
+    cancel: null,
+    stage: '',
+    done: 0,
+    total: 0,
+    summary: null
+};
+
+const renderLoadProgress = () => {
+    if (!loadProgress.element) {
+        loadProgress.element = document.createElement("div");
+        loadProgress.element.setAttribute("class", "load-progress");
+    }
+    const panel = loadProgress.element;
+    panel.innerHTML = "";
+
+    const heading = document.createElement("div");
+    heading.setAttribute("class", "load-progress-heading");
+
+    const actions = document.createElement("div");
+    actions.setAttribute("class", "load-progress-actions");
+
+    if (loadProgress.running) {
+        heading.innerText = loadProgress.cancelled ? "中止しています..." : loadProgress.stage;
+
+        const bar = document.createElement("progress");
+        bar.max = Math.max(loadProgress.total, 1);
+        bar.value = loadProgress.done;
+
+        const count = document.createElement("div");
+        count.setAttribute("class", "load-progress-count");
+        count.innerText = `${loadProgress.done} / ${loadProgress.total} ファイル`;
+
+        const cancelBtn = document.createElement("button");
+        cancelBtn.setAttribute("class", "btn-delete");
+        cancelBtn.innerText = "中止";
+        cancelBtn.disabled = loadProgress.cancelled;
+        cancelBtn.onclick = () => loadProgress.cancel && loadProgress.cancel();
+        actions.appendChild(cancelBtn);
+
+        panel.append(heading, bar, count, actions);
+    } else {
+        const { cancelled, seconds, documents, stylesheets, attachments, waiting, skipped, problems } = loadProgress.summary;
+        heading.innerText = `${cancelled ? '読み込みを中止しました' : '読み込み完了'}（${seconds.toFixed(1)}秒）`;
+
+        const lines = document.createElement("div");
+        lines.setAttribute("class", "load-progress-count");
+        lines.innerText = [
+            `公文書 ${documents}件`,
+            `スタイルシート ${stylesheets}件`,
+            attachments > 0 ? `添付ファイル ${attachments}件` : '',
+            waiting > 0 ? `XSL待ちのXML ${waiting}件` : '',
+            skipped > 0 ? `対象外のファイル ${skipped}件` : '',
+            problems > 0 ? `読み込めなかったファイル ${problems}件` : ''
+        ].filter(Boolean).join(' / ');
+
+        if (problems > 0 || waiting > 0) {
+            const diagnosticsBtn = document.createElement("button");
+            diagnosticsBtn.setAttribute("class", "home-btn");
+            diagnosticsBtn.innerText = "診断を見る";
+            diagnosticsBtn.onclick = () => renderDiagnostics();
+            actions.appendChild(diagnosticsBtn);
+        }
+
+        const closeBtn = document.createElement("button");
+        closeBtn.setAttribute("class", "home-btn");
+        closeBtn.innerText = "閉じる";
+        closeBtn.onclick = () => {
+            panel.remove();
+            loadProgress.element = null;
+        };
+        actions.appendChild(closeBtn);
+
+        panel.append(heading, lines, actions);
+    }
+
+    if (!panel.isConnected) {
+        document.body.appendChild(panel);
+    }
+};
+
+const updateLoadProgress = (changes) => {
+    Object.assign(loadProgress, changes);
+    renderLoadProgress();
+};
+
+let lastLoadYield = 0;
+
+// Lets the page repaint and handle clicks (such as 中止) during a long load
+const yieldDuringLoad = async () => {
+    if (performance.now() - lastLoadYield < LOAD_SLICE_MS) return;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    lastLoadYield = performance.now();
+};
+
+let listRefreshTimer = null;
+
+// Shows documents as they are paired, without rebuilding the whole page for each one
+const scheduleListRefresh = () => {
+    if (listRefreshTimer) return;
+    listRefreshTimer = setTimeout(() => {
+        listRefreshTimer = null;
+        if (document.querySelector('.file-list')) {
+            renderFileList();
+        } else {
+            renderUI();
+        }
+    }, LIST_REFRESH_INTERVAL_MS);
+};
+
+const cancelLoad = () => {
+    if (loadProgress.running && loadProgress.cancel) {
+        loadProgress.cancel();
+    }
+};
+
+let loadQueue = Promise.resolve();
+
+// Drops that arrive while a load is running wait for it to finish
+const addFilesToStorage = (files) => {
+    const load = loadQueue.then(() => loadFiles(files));
+    loadQueue = load.catch(() => {});
+    return load;
+};
+
+const loadFiles = async (files) => {
+    const startedAt = performance.now();
+    const pool = createLoadPool();
+    const diagnosticsBefore = new Set(fileDiagnostics.keys());
+    const documentsBefore = fileStorage.size;
+    const countWaiting = () => Array.from(xmlPool.values()).reduce((count, items) => count + items.length, 0);
+    const waitingBefore = countWaiting();
+    let stylesheetCount = 0;
+    let attachmentCount = 0;
+
+    updateLoadProgress({
+        running: true,
+        cancelled: false,
+        cancel: () => {
+            updateLoadProgress({ cancelled: true });
+            pool.terminate();
+        },
+        stage: 'ファイルを確認しています',
+        done: 0,
+        total: files.length,
+        summary: null
+    });
+    const checkCancelled = () => {
+        if (loadProgress.cancelled) {
+            throw new Error('読み込みを中止しました');
+        }
+    };
+
+    const extractFolderName = (file) => {
+        if (file.webkitRelativePath) {
+            const parts = file.webkitRelativePath.split('/');
+            return parts.length > 1 ? parts[0] : null;
+        }
+        return null;
+    };
+
+    const isZipFile = (file) => file.type.match(/^application\/(x-zip-compressed|zip)$/) || file.name.endsWith('.zip');
+
+    // Unpacks inner archives too; every entry keeps its full path (outer.zip/dir/inner.zip/foo.xml)
+    const expandZip = async (zipFile, zipPath, sourceItem, depth) => {
+        let expanded;
+        try {
+            expanded = await pool.run('unzip', zipFile);
+        } catch (error) {
+            // The dropped archive itself is the caller's to report; a broken inner one is skipped
+            if (depth === 1 || loadProgress.cancelled) throw error;
+            recordDiagnostic(zipPath, 'zip-error', `展開に失敗しました（${error.message}）`);
+            return [];
+        }
+        const { entries, errors } = expanded;
+        errors.forEach(({ path, message }) => {
+            recordDiagnostic(path ? `${zipPath}/${path}` : zipPath, 'zip-error', message);
+        });
+
+        const items = [];
+        for (const { path, file: entryFile } of entries) {
+            const entryPath = `${zipPath}/${path}`;
+            if (isZipFile(entryFile)) {
+                if (depth >= MAX_ZIP_DEPTH) {
+                    recordDiagnostic(entryPath, 'zip-error', 'ZIPの入れ子が深すぎるため展開しません');
+                    continue;
+                }
+                items.push(...await expandZip(entryFile, entryPath, sourceItem, depth + 1));
+            } else {
+                items.push({ ...sourceItem, file: entryFile, path: entryPath });
+            }
+        }
+        return items;
+    };
+
+    // One per dropped file. A source is finished once every XML/XSL in it has been handled;
+    // what an unfinished one added is rolled back when the load stops early.
+    const sources = [];
+    const sourceOf = new Map();
+
+    const rollBackSource = (source) => {
+        source.pooled.forEach(xmlItem => {
+            const pairKey = xmlItem.path.replace(/\.xml$/, '');
+            const waiting = (xmlPool.get(pairKey) || []).filter(item => item !== xmlItem);
+            if (waiting.length > 0) {
+                xmlPool.set(pairKey, waiting);
+            } else {
+                xmlPool.delete(pairKey);
+            }
+        });
+        source.pairs.forEach(uniqueKey => removePair(uniqueKey));
+
+        // Files still used by another entry (a stylesheet shared with a finished source) stay
+        const inUse = new Set();
+        for (const pairData of fileStorage.values()) {
+            inUse.add(pairData.xml).add(pairData.xsl);
+        }
+        for (const pooledXmls of xmlPool.values()) {
+            pooledXmls.forEach(xmlItem => inUse.add(xmlItem.file));
+        }
+        source.items.forEach(({ path, file }) => {
+            if (inUse.has(file) || fileIndex.get(path) !== file) return;
+            fileIndex.delete(path);
+            if (xslCache.has(path) && xslCache.get(path).file === file) xslCache.delete(path);
+            if (attachments.has(path) && attachments.get(path).file === file) attachments.delete(path);
+        });
+        processedFileKeys.delete(source.key);
+    };
+
+    const finishItem = (item) => {
+        sourceOf.get(item).pending--;
+    };
+
+    try {
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            const folderName = extractFolderName(file);
+
+            const fileKey = `${file.webkitRelativePath || file.name}_${file.size}_${file.lastModified}`;
+            if (processedFileKeys.has(fileKey)) {
+                continue;
+            }
+            processedFileKeys.add(fileKey);
+
+            const source = {
+                key: fileKey,
+                path: file.webkitRelativePath || file.name,
+                file,
+                expanded: false,
+                failed: false,
+                items: [],
+                pending: 0,
+                pairs: [],
+                pooled: []
+            };
+            sources.push(source);
+
+            if (isZipFile(file)) {
+                Object.assign(source, { zip: true, sourceItem: {
+                    sourceIndex: i,
+                    sourceType: 'zip',
+                    sourceName: file.name,
+                    folderName: folderName
+                } });
+            } else {
+                Object.assign(source, { zip: false, sourceItem: {
+                    file: file,
+                    path: file.webkitRelativePath || file.name,
+                    sourceIndex: i,
+                    sourceType: folderName ? 'folder' : 'direct',
+                    sourceName: file.name,
+                    folderName: folderName
+                } });
+            }
+        }
+
+        const zipCount = sources.filter(({ zip }) => zip).length;
+        let expandedZips = 0;
+        if (zipCount > 0) {
+            updateLoadProgress({ stage: `ZIPを展開しています（${zipCount}件）`, done: 0, total: zipCount });
+        }
+        // Archives expand in parallel; their entries keep the order of the dropped files.
+        // One unreadable archive is reported and the rest of the drop goes on.
+        await Promise.all(sources.map(async (source) => {
+            if (!source.zip) {
+                source.items = [source.sourceItem];
+                source.expanded = true;
+                return;
+            }
+            try {
+                source.items = await expandZip(source.file, source.path, source.sourceItem, 1);
+                source.expanded = true;
+            } catch (error) {
+                if (loadProgress.cancelled) throw error;
+                recordDiagnostic(source.path, 'zip-error', `展開に失敗しました（${error.message}）`);
+                source.failed = true;
+            }
+            updateLoadProgress({ done: ++expandedZips });
+        }));
+        checkCancelled();
+        const processedFiles = sources.flatMap(source => source.items);
+        sources.forEach(source => {
+            source.items.forEach(item => sourceOf.set(item, source));
+        });
+
+        // Signatures, xsl:include and document() may reference files that have only just arrived
+        if (processedFiles.length > 0) {
+            signatureResults.clear();
+            stylesheetProcessors.clear();
+            renderCache.clear();
+        }
+
+        const xmlFiles = [];
+        const xslFiles = [];
+
+        processedFiles.forEach(item => {
+            registerFile(item.path, item.file);
+            const name = item.file.name;
+            if (name.endsWith('.xml')) {
+                xmlFiles.push(item);
+                sourceOf.get(item).pending++;
+            } else if (name.endsWith('.xsl')) {
+                xslFiles.push(item);
+                sourceOf.get(item).pending++;
+            } else if (attachmentKindOf(name)) {
+                attachments.set(item.path, { path: item.path, file: item.file, directory: dirnameOf(item.path), kind: attachmentKindOf(name) });
+                attachmentCount++;
+            } else {
+                recordDiagnostic(item.path, 'unsupported', 'XML/XSL・添付ファイル以外の形式のため読み込みません');
+            }
+        });
+
+        updateLoadProgress({ stage: 'XML/XSLを読み込んでいます', done: 0, total: xslFiles.length + xmlFiles.length });
+
+        // Decoding runs ahead in the workers; results are handled in order, stylesheets first
+        const decodeAll = (items) => items.map(({ file }) => {
+            const decoded = pool.run('decode', file);
+            decoded.catch(() => {});
+            return decoded;
+        });
+        const decodedStylesheets = decodeAll(xslFiles);
+        const decodedDocuments = decodeAll(xmlFiles);
+
+        // A file the worker could not read is reported on its own
+        const awaitDecoded = async (decoded, path) => {
+            try {
+                return await decoded;
+            } catch (error) {
+                checkCancelled();
+                recordDiagnostic(path, 'parse-error', `読み込みに失敗しました（${error.message}）`);
+                return null;
+            }
+        };
+
+        for (let i = 0; i < xslFiles.length; i++) {
+            const item = xslFiles[i];
+            const { file, path } = item;
+            const decoded = await awaitDecoded(decodedStylesheets[i], path);
+            checkCancelled();
+            if (!decoded) {
+                finishItem(item);
+                updateLoadProgress({ done: loadProgress.done + 1 });
+                continue;
+            }
+            const { text, warning } = decoded;
+            const parser = new DOMParser();
+            const xslDoc = parser.parseFromString(text, 'application/xml');
+            const parseError = getParseError(xslDoc);
+            if (parseError) {
+                recordDiagnostic(path, 'parse-error', `XSL解析エラー${describeParseError(parseError)}`);
+            } else {
+                const titleElement = xslDoc.querySelector('title');
+                const title = titleElement ? titleElement.textContent.trim() : '';
+                xslCache.set(path, {
+                    file: file,
+                    title: title,
+                    path: path,
+                    encodingWarning: warning,
+                    orientation: detectStylesheetOrientation(xslDoc)
+                });
+                stylesheetCount++;
+            }
+            finishItem(item);
+            updateLoadProgress({ done: loadProgress.done + 1 });
+            await yieldDuringLoad();
+        }
+
+        for (let i = 0; i < xmlFiles.length; i++) {
+            const item = xmlFiles[i];
+            const { file: xmlFile, path, sourceIndex, sourceType, sourceName, folderName } = item;
+            const basename = xmlFile.name.replace(/\.xml$/, '');
+
+            const decoded = await awaitDecoded(decodedDocuments[i], path);
+            checkCancelled();
+            if (!decoded) {
+                finishItem(item);
+                updateLoadProgress({ done: loadProgress.done + 1 });
+                continue;
+            }
+            const { text, warning: encodingWarning } = decoded;
+            const parser = new DOMParser();
+            const xmlDoc = parser.parseFromString(text, 'application/xml');
+            const parseError = getParseError(xmlDoc);
+            if (parseError) {
+                recordDiagnostic(path, 'parse-error', `XML解析エラー${describeParseError(parseError)}`);
+            } else {
+                const metadata = extractMetadata(xmlDoc);
+
+                const stylesheetHref = getStylesheetHref(xmlDoc);
+                const xmlItem = {
+                    file: xmlFile,
+                    basename: basename,
+                    metadata: metadata,
+                    jigyoushoName: metadata[JIGYOUSHO_FIELD_LABEL] || '',
+                    sourceIndex: sourceIndex,
+                    sourceType: sourceType,
+                    sourceName: sourceName,
+                    folderName: folderName,
+                    path: path,
+                    stylesheetPath: stylesheetHref ? resolvePath(dirnameOf(path), stylesheetHref) : null,
+                    encodingWarning: encodingWarning
+                };
+
+                const xslData = findStylesheetFor(xmlItem);
+                if (xslData) {
+                    sourceOf.get(item).pairs.push(createPair(xmlItem, xslData));
+                    scheduleListRefresh();
+                } else {
+                    const pairKey = path.replace(/\.xml$/, '');
+                    if (!xmlPool.has(pairKey)) {
+                        xmlPool.set(pairKey, []);
+                    }
+                    xmlPool.get(pairKey).push(xmlItem);
+                    sourceOf.get(item).pooled.push(xmlItem);
+                }
+            }
+            finishItem(item);
+            updateLoadProgress({ done: loadProgress.done + 1 });
+            await yieldDuringLoad();
+        }
+
+        if (xslFiles.length > 0) {
+            for (const [pairKey, pooledXmls] of xmlPool) {
+                const waiting = pooledXmls.filter(xmlItem => {
+                    const xslData = findStylesheetFor(xmlItem);
+                    if (xslData) {
+                        createPair(xmlItem, xslData);
+                        return false;
+                    }
+                    return true;
+                });
+                if (waiting.length > 0) {
+                    xmlPool.set(pairKey, waiting);
+                } else {
+                    xmlPool.delete(pairKey);
+                }
+            }
+        }
+    } catch (error) {
+        if (!loadProgress.cancelled) {
+            console.error('Load error:', error);
+            sources
+                .filter(source => !source.failed && (!source.expanded || source.pending > 0))
+                .forEach(source => recordDiagnostic(source.path, source.zip ? 'zip-error' : 'parse-error',
+                    `読み込みに失敗しました（${error.message}）`));
+        }
+    } finally {
+        // Fully read sources stay. Anything else is undone and forgotten, so dropping it again
+        // reads it afresh instead of skipping it or adding a second copy of what was paired.
+        sources
+            .filter(source => source.failed || !source.expanded || source.pending > 0)
+            .forEach(rollBackSource);
+
+        pool.terminate();
+        clearTimeout(listRefreshTimer);
+        listRefreshTimer = null;
+
+        const newDiagnostics = Array.from(fileDiagnostics.values()).filter(({ path }) => !diagnosticsBefore.has(path));
+        updateLoadProgress({
+            running: false,
+            cancel: null,
+            summary: {
+                cancelled: loadProgress.cancelled,
+                seconds: (performance.now() - startedAt) / 1000,
+                documents: fileStorage.size - documentsBefore,
+                stylesheets: stylesheetCount,
+                attachments: attachmentCount,
+                waiting: Math.max(0, countWaiting() - waitingBefore),
+                skipped: newDiagnostics.filter(({ status }) => status === 'unsupported').length,
+                problems: newDiagnostics.filter(({ status }) => status !== 'unsupported').length
+            }
+        });
+        renderUI();
+    }
+};
+
+const SIGNATURE_STATUS_LABELS = {
+    'pending': { label: '署名確認中', color: '#9e9e9e' },
+    'matched': { label: '署名一致（発行元未確認）', color: '#546e7a' },
+    'expired': { label: '署名一致・証明書期限外', color: '#e65100' },
+    'tampered': { label: '改ざんの疑い', color: '#c62828' },
+    'unverifiable': { label: '署名を検証できません', color: '#757575' },
+    'unsigned': { label: '署名なし', color: '#9e9e9e' }
+};
+
+const setSignatureBadge = (badge, status, signerName = '') => {
+    const { label, color } = SIGNATURE_STATUS_LABELS[status];
+    badge.setAttribute("class", `signature-badge ${status}`);
+    badge.style.color = color;
+    badge.style.borderColor = color;
+    badge.innerText = signerName ? `${label}: ${signerName}` : label;
+};
+
+// The signer's CN as the certificate states it; anyone can put any name in a self-made one
+const signerNameOf = (result) => {
+    const signed = result.signatures.find(({ certificate }) => certificate && certificate.commonName);
+    return signed ? signed.certificate.commonName : '';
+};
+
+const createSignatureBadge = (xmlFile) => {
+    const badge = document.createElement("span");
+    setSignatureBadge(badge, 'pending');
+    getSignatureResult(xmlFile).then(result => {
+        setSignatureBadge(badge, result.status, signerNameOf(result));
+        badge.title = [result.message, result.status === 'matched' || result.status === 'expired'
+            ? '署名者名は証明書の記載で、発行元（認証局）は確認していません' : ''].filter(Boolean).join('\n');
+    });
+    return badge;
+};
+
+const formatDateTime = (date) => date.toLocaleString('ja-JP');
+
+// Badge plus the signer certificate and per-reference results, for the info section
+const createSignatureDetails = (xmlFile) => {
+    const details = document.createElement("details");
+    details.setAttribute("class", "signature-details");
+
+    const summary = document.createElement("summary");
+    summary.appendChild(createSignatureBadge(xmlFile));
+    details.appendChild(summary);
+
+    getSignatureResult(xmlFile).then(result => {
+        if (result.status === 'unsigned') {
+            details.replaceWith(summary.firstChild);
+            return;
+        }
+        if (result.message) {
+            const message = document.createElement("p");
+            message.innerText = result.message;
+            details.appendChild(message);
+        }
+
+        result.signatures.forEach(({ status, references, certificate, message }, index) => {
+            const list = document.createElement("dl");
+            list.setAttribute("class", "metadata-list");
+            const add = (term, value) => {
+                const dt = document.createElement("dt");
+                dt.innerText = term;
+                const dd = document.createElement("dd");
+                dd.innerText = value;
+                list.append(dt, dd);
+            };
+
+            if (result.signatures.length > 1) {
+                add('署名', `${index + 1} / ${result.signatures.length}`);
+            }
+            add('結果', SIGNATURE_STATUS_LABELS[status].label + (message ? `（${message}）` : ''));
+            if (certificate) {
+                add('署名者', certificate.subject);
+                add('発行者', certificate.issuer);
+                add('シリアル番号', certificate.serialNumber);
+                add('有効期間', `${formatDateTime(certificate.notBefore)} 〜 ${formatDateTime(certificate.notAfter)}`);
+            }
+            references.forEach(({ uri, valid, message: referenceMessage }) => {
+                add(`参照 ${uri || '（文書全体）'}`,
+                    valid === true ? 'ダイジェスト一致' : valid === false ? 'ダイジェスト不一致（内容が変更されています）' : referenceMessage);
+            });
+            details.appendChild(list);
+        });
+
+        const note = document.createElement("p");
+        note.setAttribute("class", "settings-note");
+        note.innerText = "「署名一致」は署名後に内容が変更されていないことを示します。" +
+            "公開鍵は文書に含まれる証明書のもので、発行元（認証局）までの証明書チェーンは検証していないため、" +
+            "署名者名が本物かどうかは確認できません。";
+        details.appendChild(note);
+    });
+    return details;
+};
+
+const createInfoSection = (pairData) => {
+    const infoSection = document.createElement("div");
+    infoSection.setAttribute("class", "info-section");
+    infoSection.style.cssText = "padding: 12px 16px; background: #f9f9f9; border-bottom: 1px solid #ddd;";
+
+    if (pairData.title) {
+        const titleDiv = document.createElement("div");
+        titleDiv.style.cssText = "font-size: 18px; font-weight: bold; color: #333; margin-bottom: 6px;";
+        titleDiv.innerText = pairData.title;
+        infoSection.appendChild(titleDiv);
+    }
+
+    if (pairData.jigyoushoName) {
+        const companyDiv = document.createElement("div");
+        companyDiv.style.cssText = "font-size: 16px; color: #555;";
+        companyDiv.innerText = pairData.jigyoushoName;
+        infoSection.appendChild(companyDiv);
+    }
+
+    const fields = metadataFields
+        .filter(field => field.label !== JIGYOUSHO_FIELD_LABEL && pairData.metadata && pairData.metadata[field.label]);
+    if (fields.length > 0) {
+        const fieldList = document.createElement("dl");
+        fieldList.setAttribute("class", "metadata-list");
+        fields.forEach(field => {
+            const term = document.createElement("dt");
+            term.innerText = field.label;
+            const value = document.createElement("dd");
+            value.innerText = pairData.metadata[field.label];
+            fieldList.append(term, value);
+        });
+        infoSection.appendChild(fieldList);
+    }
+
+    infoSection.appendChild(createSignatureDetails(pairData.xml));
+    return infoSection;
+};
+
+// Entries whose transform has run at least once; the rest show as 未変換 in the diagnostics
+const checkedTransforms = new WeakSet();
+
+const recordTransformError = (pairData, error) => {
+    console.error('Render error:', error);
+    checkedTransforms.add(pairData);
+    recordDiagnostic(pathOf(pairData.xml), 'transform-error', error.message);
+};
+
+const clearTransformError = (pairData) => {
+    checkedTransforms.add(pairData);
+    const path = pathOf(pairData.xml);
+    const diagnostic = fileDiagnostics.get(path);
+    if (diagnostic && diagnostic.status === 'transform-error') {
+        fileDiagnostics.delete(path);
+    }
+};
+
+const createRenderError = (error) => {
+    const errorEl = document.createElement("div");
+    errorEl.setAttribute("class", "render-error");
+    errorEl.innerText = `この文書を表示できませんでした\n${error.message}`;
+    return errorEl;
+};
+
+const showPair = (uniqueKey, pairData) => {
+    const body = document.body;
+    body.innerHTML = "";
+
+    const allKeys = getNavigationKeys(uniqueKey);
+    const currentIndex = allKeys.indexOf(uniqueKey);
+    const prevKey = currentIndex > 0 ? allKeys[currentIndex - 1] : null;
+    const nextKey = currentIndex < allKeys.length - 1 ? allKeys[currentIndex + 1] : null;
+
+    transformPair(uniqueKey, pairData).then((docs) => {
+        clearTransformError(pairData);
+        docs.forEach(([name, doc]) => {
+            const container = document.createElement("div");
+            container.setAttribute("class", isLandscapePair(pairData) ? "container landscape" : "container");
+
+            const header = document.createElement("div");
+            header.setAttribute("class", "page-header");
+
+            const leftSection = document.createElement("div");
+            leftSection.setAttribute("class", "header-left");
+
+            const homeBtn = document.createElement("button");
+            homeBtn.setAttribute("class", "home-btn");
+            homeBtn.innerText = "ファイル一覧";
+            homeBtn.onclick = () => {
+                renderUI();
+            };
+
+            const clearBtn = document.createElement("button");
+            clearBtn.setAttribute("class", "home-btn");
+            clearBtn.style.cssText = "background: #f44336;";
+            clearBtn.innerText = "クリア";
+            clearBtn.onclick = () => {
+                if (confirm('すべてのファイルをクリアしますか？\n（アップロードしたファイルがすべて削除されます）')) {
+                    clearStorage();
+                    renderUI();
+                }
+            };
+            clearBtn.onmouseover = () => {
+                clearBtn.style.background = "#d32f2f";
+            };
+            clearBtn.onmouseout = () => {
+                clearBtn.style.background = "#f44336";
+            };
+
+            const countLabel = document.createElement("span");
+            countLabel.style.cssText = "font-size: 14px; color: #666; margin-left: 8px;";
+            countLabel.innerText = `${currentIndex + 1} / ${allKeys.length}`;
+
+            leftSection.append(homeBtn, clearBtn, countLabel);
+
+            const rightSection = document.createElement("div");
             rightSection.setAttribute("class", "header-left");
             rightSection.style.cssText = "gap: 8px;";
 
-            const prevBtn = document.createElement("button");
-            prevBtn.setAttribute("class", "home-btn");
-            prevBtn.innerText = "前のファイル";
-            prevBtn.style.cssText = prevKey ? "" : "opacity: 0.5; cursor: not-allowed;";
-            prevBtn.disabled = !prevKey;
-            if (prevKey) {
-                prevBtn.onclick = () => {
-                    const prevPairData = fileStorage.get(prevKey);
-                    showPair(prevKey, prevPairData);
-                };
+            const prevBtn = document.createElement("button");
+            prevBtn.setAttribute("class", "home-btn");
+            prevBtn.innerText = "前のファイル";
+            prevBtn.style.cssText = prevKey ? "" : "opacity: 0.5; cursor: not-allowed;";
+            prevBtn.disabled = !prevKey;
+            if (prevKey) {
+                prevBtn.onclick = () => {
+                    const prevPairData = fileStorage.get(prevKey);
+                    showPair(prevKey, prevPairData);
+                };
+            }
+
+            const nextBtn = document.createElement("button");
+            nextBtn.setAttribute("class", "home-btn");
+            nextBtn.innerText = "次のファイル";
+            nextBtn.style.cssText = nextKey ? "" : "opacity: 0.5; cursor: not-allowed;";
+            nextBtn.disabled = !nextKey;
+            if (nextKey) {
+                nextBtn.onclick = () => {
+                    const nextPairData = fileStorage.get(nextKey);
+                    showPair(nextKey, nextPairData);
+                };
+            }
+
+            const printBtn = document.createElement("button");
+            printBtn.setAttribute("class", "print-btn");
+            printBtn.innerText = "PDFとして保存";
+            printBtn.onclick = () => printDocumentFrame(contents, pairData);
+
+            const pdfBtn = createPdfButton(
+                () => [{ contents, isLandscape: isLandscapePair(pairData), pairData }],
+                () => pdfFileNameFor(pairData)
+            );
+
+            rightSection.append(prevBtn, nextBtn, printBtn, pdfBtn);
+
+            header.append(leftSection, rightSection);
+
+            const infoSection = createInfoSection(pairData);
+
+            container.append(header, infoSection);
+            body.append(container);
+
+            const contents = mountDocumentFrame(container, doc, pairData);
+            measureOrientation(pairData, container, contents);
+            rightSection.append(createOrientationSelect(pairData, () => showPair(uniqueKey, pairData)));
+
+            const handleKeyPress = (e) => {
+                if (e.key === 'ArrowLeft' && prevKey) {
+                    const prevPairData = fileStorage.get(prevKey);
+                    showPair(prevKey, prevPairData);
+                } else if (e.key === 'ArrowRight' && nextKey) {
+                    const nextPairData = fileStorage.get(nextKey);
+                    showPair(nextKey, nextPairData);
+                } else if (e.key === 'Escape') {
+                    renderUI();
+                }
+            };
+
+            document.removeEventListener('keydown', handleKeyPress);
+            document.addEventListener('keydown', handleKeyPress);
+        });
+        prefetchNeighbours(uniqueKey);
+    }).catch((error) => {
+        recordTransformError(pairData, error);
+
+        const homeBtn = document.createElement("button");
+        homeBtn.setAttribute("class", "home-btn");
+        homeBtn.innerText = "ファイル一覧";
+        homeBtn.onclick = () => {
+            renderUI();
+        };
+
+        const header = document.createElement("div");
+        header.setAttribute("class", "page-header");
+        header.append(homeBtn);
+        body.append(header, createRenderError(error));
+    });
+};
+
+// The session store keeps every file in fileIndex, so an XML no entry or pool item refers to
+// any more is dropped from it (and its diagnostics with it)
+const releaseXmlFile = (file) => {
+    const inUse = Array.from(fileStorage.values()).some(pairData => pairData.xml === file) ||
+        Array.from(xmlPool.values()).some(pooledXmls => pooledXmls.some(xmlItem => xmlItem.file === file));
+    if (inUse) return;
+    const path = pathOf(file);
+    if (fileIndex.get(path) === file) {
+        fileIndex.delete(path);
+        fileDiagnostics.delete(path);
+    }
+};
+
+const removePair = (uniqueKey) => {
+    const pairData = fileStorage.get(uniqueKey);
+    fileStorage.delete(uniqueKey);
+    batchSelection.delete(uniqueKey);
+    documentTextIndex.delete(uniqueKey);
+    invalidateRenderCache(uniqueKey);
+    if (pairData) {
+        releaseXmlFile(pairData.xml);
+    }
+};
+
+const deletePair = (uniqueKey, basename) => {
+    if (confirm(`「${basename}」のペアを削除しますか？`)) {
+        removePair(uniqueKey);
+        renderUI();
+    }
+};
+
+const handleDrop = async (e) => {
+    e.preventDefault();
+
+    const items = e.dataTransfer.items;
+    const allFiles = [];
+
+    const processEntry = async (entry, path = '') => {
+        if (entry.isFile) {
+            return new Promise((resolve) => {
+                entry.file((file) => {
+                    if (path) {
+                        Object.defineProperty(file, 'webkitRelativePath', {
+                            value: path + file.name,
+                            writable: false,
+                            configurable: true
+                        });
+                    }
+                    resolve(file);
+                }, (error) => {
+                    console.error('File read error:', error);
+                    resolve(null);
+                });
+            });
+        } else if (entry.isDirectory) {
+            const dirReader = entry.createReader();
+            const allEntries = [];
+
+            const readAllEntries = async () => {
+                return new Promise((resolve) => {
+                    const readBatch = () => {
+                        dirReader.readEntries(async (entries) => {
+                            if (entries.length === 0) {
+                                resolve(allEntries);
+                            } else {
+                                allEntries.push(...entries);
+                                readBatch();
+                            }
+                        }, (error) => {
+                            console.error('Directory read error:', error);
+                            resolve(allEntries);
+                        });
+                    };
+                    readBatch();
+                });
+            };
+
+            const entries = await readAllEntries();
+            const promises = [];
+            for (const subEntry of entries) {
+                promises.push(processEntry(subEntry, path + entry.name + '/'));
+            }
+            const results = await Promise.all(promises);
+            return results.flat().filter(f => f);
+        }
+        return null;
+    };
+
+    if (items && items.length > 0) {
+        const promises = [];
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (item.kind === 'file') {
+                const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+                if (entry) {
+                    promises.push(processEntry(entry));
+                } else {
+                    const file = item.getAsFile();
+                    if (file) {
+                        promises.push(Promise.resolve(file));
+                    }
+                }
+            }
+        }
+
+        if (promises.length > 0) {
+            const results = await Promise.all(promises);
+            allFiles.push(...results.flat().filter(f => f));
+        }
+    }
+
+    if (allFiles.length === 0 && e.dataTransfer.files.length > 0) {
+        allFiles.push(...Array.from(e.dataTransfer.files));
+    }
+
+    if (allFiles.length > 0) {
+        addFilesToStorage(allFiles);
+    }
+};
+
+let currentSelectedKey = null;
+
+const printBatch = async (uniqueKeys, { autoPrint = true } = {}) => {
+    const body = document.body;
+    body.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.setAttribute("class", "page-header");
+
+    const leftSection = document.createElement("div");
+    leftSection.setAttribute("class", "header-left");
+
+    const homeBtn = document.createElement("button");
+    homeBtn.setAttribute("class", "home-btn");
+    homeBtn.innerText = "ファイル一覧";
+    homeBtn.onclick = () => {
+        renderUI();
+    };
+
+    const progressLabel = document.createElement("span");
+    progressLabel.style.cssText = "font-size: 14px; color: #666;";
+
+    leftSection.append(homeBtn, progressLabel);
+
+    const printBtn = document.createElement("button");
+    printBtn.setAttribute("class", "print-btn");
+    printBtn.innerText = "PDFとして保存";
+    printBtn.onclick = () => printDocuments(rendered);
+
+    const rendered = [];
+
+    const mergedPdfBtn = createPdfButton(
+        () => rendered,
+        () => `一括_${rendered.length}件`
+    );
+    mergedPdfBtn.innerText = "PDFファイル (結合)";
+
+    const splitPdfBtn = document.createElement("button");
+    splitPdfBtn.setAttribute("class", "print-btn");
+    splitPdfBtn.innerText = "PDFファイル (個別)";
+    splitPdfBtn.onclick = async () => {
+        splitPdfBtn.disabled = true;
+        try {
+            for (let i = 0; i < rendered.length; i++) {
+                const { pairData, contents, isLandscape } = rendered[i];
+                splitPdfBtn.innerText = `作成中... ${i + 1} / ${rendered.length}`;
+                const fileName = pdfFileNameFor(pairData);
+                const blob = await createPdf([{ contents, isLandscape, pairData }], fileName);
+                downloadBlob(blob, `${String(i + 1).padStart(3, '0')}_${toSafeFileName(fileName)}.pdf`);
+            }
+        } catch (error) {
+            console.error('PDF export error:', error);
+            alert(`PDFの作成に失敗しました: ${error.message}`);
+        } finally {
+            splitPdfBtn.disabled = false;
+            splitPdfBtn.innerText = "PDFファイル (個別)";
+        }
+    };
+
+    const exportButtons = [printBtn, mergedPdfBtn, splitPdfBtn];
+    exportButtons.forEach(btn => {
+        btn.disabled = true;
+        btn.style.cssText = "opacity: 0.5; cursor: not-allowed;";
+    });
+
+    const rightSection = document.createElement("div");
+    rightSection.setAttribute("class", "header-left");
+    rightSection.style.cssText = "gap: 8px;";
+    rightSection.append(...exportButtons);
+
+    header.append(leftSection, rightSection);
+
+    const failureSection = document.createElement("div");
+    failureSection.setAttribute("class", "info-section");
+    failureSection.style.cssText = "display: none; flex-direction: column; align-items: flex-start; background: #fff3f3; color: #c62828;";
+
+    const pages = document.createElement("div");
+    pages.setAttribute("class", "batch-pages");
+
+    body.append(header, failureSection, pages);
+
+    let succeeded = 0;
+    const failures = [];
+
+    for (let i = 0; i < uniqueKeys.length; i++) {
+        const pairData = fileStorage.get(uniqueKeys[i]);
+        if (!pairData) continue;
+        progressLabel.innerText = `作成中... ${i + 1} / ${uniqueKeys.length}`;
+
+        try {
+            const docs = await transformPair(uniqueKeys[i], pairData, { keep: false });
+            if (docs.length === 0) {
+                throw new Error('変換結果がありません');
+            }
+            clearTransformError(pairData);
+            docs.forEach(([name, doc]) => {
+                const container = document.createElement("div");
+                container.setAttribute("class", isLandscapePair(pairData) ? "container landscape" : "container");
+                pages.append(container);
+
+                const contents = mountDocumentFrame(container, doc, pairData);
+                measureOrientation(pairData, container, contents);
+                rendered.push({ pairData, contents, isLandscape: isLandscapePair(pairData) });
+            });
+            succeeded++;
+        } catch (error) {
+            console.error('Batch render error:', error);
+            recordTransformError(pairData, error);
+            failures.push(pairData);
+
+            const failureEl = document.createElement("div");
+            failureEl.innerText = `${pairData.title || pairData.basename} (${pairData.xml.name}): ${error.message}`;
+            failureSection.appendChild(failureEl);
+            failureSection.style.display = "flex";
+        }
+    }
+
+    progressLabel.innerText = failures.length > 0
+        ? `${succeeded} 件作成完了 / ${failures.length} 件失敗`
+        : `${succeeded} 件作成完了`;
+
+    if (succeeded > 0) {
+        exportButtons.forEach(btn => {
+            btn.disabled = false;
+            btn.style.cssText = "";
+        });
+        if (autoPrint) {
+            printDocuments(rendered);
+        }
+    }
+};
+
+const renderPreview = (uniqueKey, pairData, { highlight = '' } = {}) => {
+    const rightPanel = document.querySelector('.right-panel');
+    if (!rightPanel) return;
+
+    rightPanel.innerHTML = "";
+    currentSelectedKey = uniqueKey;
+
+    document.querySelectorAll('.file-item').forEach(item => {
+        item.classList.remove('active');
+    });
+    const activeItem = document.querySelector(`[data-key="${uniqueKey}"]`);
+    if (activeItem) {
+        activeItem.classList.add('active');
+    }
+
+    const allKeys = getNavigationKeys(uniqueKey);
+    const currentIndex = allKeys.indexOf(uniqueKey);
+
+    transformPair(uniqueKey, pairData).then((docs) => {
+        // Paging quickly can finish an older transform after a newer one
+        if (currentSelectedKey !== uniqueKey) return;
+        clearTransformError(pairData);
+        const renderedContents = [];
+        docs.forEach(([name, doc]) => {
+            const container = document.createElement("div");
+            container.setAttribute("class", isLandscapePair(pairData) ? "container landscape" : "container");
+
+            const header = document.createElement("div");
+            header.setAttribute("class", "page-header");
+
+            const leftSection = document.createElement("div");
+            leftSection.setAttribute("class", "header-left");
+
+            const countLabel = document.createElement("span");
+            countLabel.style.cssText = "font-size: 14px; color: #666;";
+            countLabel.innerText = `${currentIndex + 1} / ${allKeys.length}`;
+
+            const printBtn = document.createElement("button");
+            printBtn.setAttribute("class", "print-btn");
+            printBtn.innerText = "PDFとして保存";
+            printBtn.onclick = () => printDocumentFrame(contents, pairData);
+
+            const pdfBtn = createPdfButton(
+                () => [{ contents, isLandscape: isLandscapePair(pairData), pairData }],
+                () => pdfFileNameFor(pairData)
+            );
+
+            leftSection.append(countLabel, printBtn, pdfBtn);
+
+            const partnerKey = findComparisonPartner(uniqueKey);
+            if (partnerKey) {
+                const compareBtn = document.createElement("button");
+                compareBtn.setAttribute("class", "home-btn");
+                compareBtn.innerText = "比較";
+                compareBtn.title = "別の公文書（訂正版など）と並べて違いを確認";
+                compareBtn.onclick = () => renderCompare(uniqueKey, partnerKey);
+                leftSection.append(compareBtn);
+            }
+            header.append(leftSection);
+
+            const infoSection = createInfoSection(pairData);
+
+            container.append(header, infoSection);
+            rightPanel.append(container);
+
+            const contents = mountDocumentFrame(container, doc, pairData);
+            const frameWrapper = contents.ownerDocument.defaultView.frameElement.parentNode;
+            container.insertBefore(createSourceTabs(pairData, frameWrapper, container), frameWrapper);
+            measureOrientation(pairData, container, contents);
+            leftSection.append(createOrientationSelect(pairData, () => renderPreview(uniqueKey, pairData, { highlight })));
+            header.append(createAnnotationEditor(contents, pairData));
+            renderedContents.push(contents);
+        });
+
+        if (highlight) {
+            const hits = renderedContents.flatMap(contents => highlightSearchHits(contents, highlight));
+            const firstHeader = rightPanel.querySelector('.page-header');
+            if (firstHeader) {
+                firstHeader.append(createSearchHitNavigation(hits));
+            }
+        }
+        prefetchNeighbours(uniqueKey);
+    }).catch((error) => {
+        recordTransformError(pairData, error);
+        rightPanel.append(createRenderError(error));
+    });
+};
+
+const ATTACHMENT_TABLE_MAX_ROWS = 1000;
+
+const createAttachmentList = (uniqueKey, linkedAttachments) => {
+    const list = document.createElement("ul");
+    list.setAttribute("class", "attachment-list");
+
+    linkedAttachments.forEach(attachment => {
+        const item = document.createElement("li");
+
+        const openLink = document.createElement("button");
+        openLink.setAttribute("class", "attachment-open");
+        openLink.innerText = `[${ATTACHMENT_KIND_LABELS[attachment.kind]}] ${attachment.file.name}`;
+        openLink.title = `${attachment.path} (${formatBytes(attachment.file.size)})`;
+        openLink.onclick = (e) => {
+            e.stopPropagation();
+            renderAttachmentPreview(attachment, uniqueKey);
+        };
+
+        const downloadBtn = document.createElement("button");
+        downloadBtn.setAttribute("class", "attachment-download");
+        downloadBtn.innerText = "保存";
+        downloadBtn.onclick = (e) => {
+            e.stopPropagation();
+            downloadBlob(attachment.file, attachment.file.name);
+        };
+
+        item.append(openLink, downloadBtn);
+        list.appendChild(item);
+    });
+    return list;
+};
+
+// Bundled CSV/TXT files come from Windows tools as often as not
+const decodeAttachmentText = (buffer) => {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+        return new TextDecoder('shift_jis').decode(buffer);
+    }
+};
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+const createAttachmentTable = (rows) => {
+    const table = document.createElement("table");
+    table.setAttribute("class", "diagnostics-table attachment-table");
+    rows.slice(0, ATTACHMENT_TABLE_MAX_ROWS + 1).forEach((cells, index) => {
+        const row = document.createElement("tr");
+        cells.forEach(text => {
+            const cell = document.createElement(index === 0 ? "th" : "td");
+            cell.innerText = text;
+            row.appendChild(cell);
+        });
+        table.appendChild(row);
+    });
+    return table;
+};
+
+let attachmentPreviewUrl = null;
+
+const renderAttachmentPreview = async (attachment, uniqueKey) => {
+    const rightPanel = document.querySelector('.right-panel');
+    if (!rightPanel) return;
+
+    rightPanel.innerHTML = "";
+    currentSelectedKey = null;
+    document.querySelectorAll('.file-item').forEach(item => {
+        item.classList.remove('active');
+    });
+    if (attachmentPreviewUrl) {
+        URL.revokeObjectURL(attachmentPreviewUrl);
+        attachmentPreviewUrl = null;
+    }
+
+    const { file, kind } = attachment;
+
+    const view = document.createElement("div");
+    view.setAttribute("class", "diagnostics-view attachment-view");
+
+    const header = document.createElement("div");
+    header.setAttribute("class", "page-header");
+
+    const leftSection = document.createElement("div");
+    leftSection.setAttribute("class", "header-left");
+
+    const pairData = fileStorage.get(uniqueKey);
+    if (pairData) {
+        const backBtn = document.createElement("button");
+        backBtn.setAttribute("class", "home-btn");
+        backBtn.innerText = "公文書に戻る";
+        backBtn.onclick = () => renderPreview(uniqueKey, pairData);
+        leftSection.appendChild(backBtn);
+    }
+
+    const downloadBtn = document.createElement("button");
+    downloadBtn.setAttribute("class", "print-btn");
+    downloadBtn.innerText = "保存";
+    downloadBtn.onclick = () => downloadBlob(file, file.name);
+    leftSection.appendChild(downloadBtn);
+
+    const heading = document.createElement("h2");
+    heading.innerText = file.name;
+
+    header.append(leftSection, heading);
+
+    const note = document.createElement("p");
+    note.setAttribute("class", "settings-note");
+    note.innerText = [
+        `${attachment.path} (${formatBytes(file.size)})`,
+        pairData ? `${pairData.title || pairData.basename} の添付ファイル` : ''
+    ].filter(Boolean).join(' / ');
+
+    view.append(header, note);
+    rightPanel.appendChild(view);
+
+    if (kind === 'pdf') {
+        // Files from ZIPs carry no MIME type, and the built-in PDF viewer needs one
+        attachmentPreviewUrl = URL.createObjectURL(new Blob([file], { type: 'application/pdf' }));
+        const frame = document.createElement("iframe");
+        frame.setAttribute("class", "attachment-frame");
+        frame.setAttribute("title", file.name);
+        frame.src = attachmentPreviewUrl;
+        view.appendChild(frame);
+    } else if (kind === 'image') {
+        attachmentPreviewUrl = URL.createObjectURL(file);
+        const image = document.createElement("img");
+        image.setAttribute("class", "attachment-image");
+        image.alt = file.name;
+        image.src = attachmentPreviewUrl;
+        view.appendChild(image);
+    } else if (kind === 'table' || kind === 'text') {
+        const text = decodeAttachmentText(await file.arrayBuffer());
+        // Another view may have been opened while the file was read
+        if (!view.isConnected) return;
+        if (kind === 'table') {
+            const rows = parseCsv(text);
+            view.appendChild(createAttachmentTable(rows));
+            if (rows.length > ATTACHMENT_TABLE_MAX_ROWS + 1) {
+                const truncated = document.createElement("p");
+                truncated.setAttribute("class", "settings-note");
+                truncated.innerText = `先頭の${ATTACHMENT_TABLE_MAX_ROWS}行のみ表示しています（全${rows.length - 1}行）。すべて見るには保存してください。`;
+                view.appendChild(truncated);
+            }
+        } else {
+            const pre = document.createElement("pre");
+            pre.setAttribute("class", "attachment-text");
+            pre.innerText = text;
+            view.appendChild(pre);
+        }
+    } else {
+        const unsupported = document.createElement("p");
+        unsupported.setAttribute("class", "settings-note");
+        unsupported.innerText = "この形式はブラウザで表示できません。「保存」でダウンロードして開いてください。";
+        view.appendChild(unsupported);
+    }
+};
+
+// Source view: the XML (or XSL) as a collapsible tree. Children are built when a node is first
+// opened, so large documents stay cheap until someone drills into them.
+const INSPECTOR_OPEN_DEPTH = 2;
+
+// An XPath that extractField (and the metadata settings) can evaluate: prefixes resolve against
+// the root element, so default-namespace elements fall back to local-name()
+const xpathStep = (element) => {
+    const resolvable = element.prefix
+        ? element.ownerDocument.documentElement.lookupNamespaceURI(element.prefix) === element.namespaceURI
+        : !element.namespaceURI;
+    const name = resolvable ? element.nodeName : `*[local-name()='${element.localName}']`;
+    const parent = element.parentNode;
+    if (!parent || parent.nodeType !== Node.ELEMENT_NODE) return name;
+    const siblings = Array.from(parent.children)
+        .filter(sibling => sibling.localName === element.localName && sibling.namespaceURI === element.namespaceURI);
+    return siblings.length > 1 ? `${name}[${siblings.indexOf(element) + 1}]` : name;
+};
+
+const xpathOf = (node) => {
+    if (node.nodeType === Node.ATTRIBUTE_NODE) {
+        return `${xpathOf(node.ownerElement)}/@${node.name}`;
+    }
+    if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+        return `${xpathOf(node.parentNode)}/text()`;
+    }
+    const steps = [];
+    for (let current = node; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentNode) {
+        steps.unshift(xpathStep(current));
+    }
+    return `/${steps.join('/')}`;
+};
+
+const createXmlInspector = (xmlDoc) => {
+    const inspector = document.createElement("div");
+    inspector.setAttribute("class", "xml-inspector");
+
+    const status = document.createElement("div");
+    status.setAttribute("class", "xml-inspector-status");
+    status.innerText = "要素名・属性名・テキストをクリックするとXPathをコピーします";
+
+    const copyXPath = (node) => {
+        const xpath = xpathOf(node);
+        const show = (message) => {
+            status.innerText = `${message}: ${xpath}`;
+        };
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(xpath).then(() => show("XPathをコピーしました"), () => show("XPath"));
+        } else {
+            show("XPath");
+        }
+    };
+
+    const span = (className, text, node) => {
+        const element = document.createElement("span");
+        element.setAttribute("class", className);
+        element.innerText = text;
+        if (node) {
+            element.classList.add('xml-copyable');
+            element.title = xpathOf(node);
+            element.onclick = (e) => {
+                e.preventDefault();
+                copyXPath(node);
+            };
+        }
+        return element;
+    };
+
+    const startTag = (element) => {
+        const tag = document.createElement("span");
+        tag.append(span("xml-punct", "<"), span("xml-element", element.nodeName, element));
+        if (element.namespaceURI) {
+            tag.title = element.namespaceURI;
+        }
+        Array.from(element.attributes).forEach(attr => {
+            const isNamespace = attr.namespaceURI === XMLNS_NS;
+            tag.append(" ",
+                span(isNamespace ? "xml-namespace" : "xml-attribute", attr.name, isNamespace ? null : attr),
+                span("xml-punct", "="),
+                span("xml-value", `"${attr.value}"`));
+        });
+        tag.append(span("xml-punct", ">"));
+        return tag;
+    };
+
+    const endTag = (element) => span("xml-punct", `</${element.nodeName}>`);
+
+    const renderNode = (node, depth) => {
+        if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+            const text = node.nodeValue.trim();
+            if (!text) return null;
+            const row = document.createElement("div");
+            row.setAttribute("class", "xml-row");
+            row.append(span("xml-text", text, node));
+            return row;
+        }
+        if (node.nodeType === Node.COMMENT_NODE || node.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+            const row = document.createElement("div");
+            row.setAttribute("class", "xml-row");
+            row.append(span("xml-comment", node.nodeType === Node.COMMENT_NODE
+                ? `<!--${node.nodeValue}-->`
+                : `<?${node.target} ${node.data}?>`));
+            return row;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+        const childNodes = Array.from(node.childNodes).filter(child =>
+            child.nodeType !== Node.TEXT_NODE || child.nodeValue.trim());
+        // Leaf elements stay on one line: <名前>値</名前>
+        if (childNodes.length === 0 || (childNodes.length === 1 && childNodes[0].nodeType === Node.TEXT_NODE)) {
+            const row = document.createElement("div");
+            row.setAttribute("class", "xml-row");
+            row.append(startTag(node));
+            if (childNodes.length === 1) {
+                row.append(span("xml-text", childNodes[0].nodeValue.trim(), childNodes[0]));
+            }
+            row.append(endTag(node));
+            return row;
+        }
+
+        const details = document.createElement("details");
+        details.setAttribute("class", "xml-node");
+        const summary = document.createElement("summary");
+        summary.append(startTag(node));
+        details.appendChild(summary);
+
+        const children = document.createElement("div");
+        children.setAttribute("class", "xml-children");
+        details.append(children, endTag(node));
+
+        const fill = () => {
+            if (children.childElementCount > 0) return;
+            childNodes.forEach(child => {
+                const rendered = renderNode(child, depth + 1);
+                if (rendered) children.appendChild(rendered);
+            });
+        };
+        details.addEventListener('toggle', () => {
+            if (details.open) fill();
+        });
+        if (depth < INSPECTOR_OPEN_DEPTH) {
+            fill();
+            details.open = true;
+        }
+        return details;
+    };
+
+    const tree = document.createElement("div");
+    tree.setAttribute("class", "xml-tree");
+    Array.from(xmlDoc.childNodes).forEach(node => {
+        const rendered = renderNode(node, 0);
+        if (rendered) tree.appendChild(rendered);
+    });
+
+    inspector.append(status, tree);
+    return inspector;
+};
+
+// 表示 / XML / XSL tabs for a preview; the source trees are parsed on first use
+const createSourceTabs = (pairData, documentView, container) => {
+    const tabs = document.createElement("div");
+    tabs.setAttribute("class", "source-tabs");
+
+    const views = new Map([['document', documentView]]);
+    const showTab = async (tab) => {
+        tabs.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('selected', button.dataset.tab === tab);
+        });
+        if (!views.has(tab)) {
+            const file = tab === 'xsl' ? pairData.xsl : pairData.xml;
+            const view = document.createElement("div");
+            views.set(tab, view);
+            container.appendChild(view);
+            try {
+                const xmlDoc = await parseXmlFile(file);
+                const parseError = getParseError(xmlDoc);
+                view.append(parseError
+                    ? createRenderError(new Error(describeParseError(parseError)))
+                    : createXmlInspector(xmlDoc));
+            } catch (error) {
+                view.append(createRenderError(error));
+            }
+        }
+        views.forEach((view, key) => {
+            view.style.display = key === tab ? "" : "none";
+        });
+    };
+
+    [['document', '表示'], ['xml', `XML (${pairData.xml.name})`], ['xsl', `XSL (${pairData.xsl.name})`]].forEach(([tab, label]) => {
+        const button = document.createElement("button");
+        button.dataset.tab = tab;
+        button.innerText = label;
+        button.onclick = () => showTab(tab);
+        tabs.appendChild(button);
+    });
+    tabs.firstChild.classList.add('selected');
+    return tabs;
+};
+
+// Flattens an XML document into path → value. Repeated siblings get an XPath-style index from
+// the second one on (`明細[2]`), so adding a row to a re-issue doesn't renumber the first.
+const flattenXml = (xmlDoc) => {
+    const entries = new Map();
+    const walk = (element, parentPath) => {
+        const siblings = element.parentNode && element.parentNode.nodeType === Node.ELEMENT_NODE
+            ? Array.from(element.parentNode.children).filter(sibling => sibling.nodeName === element.nodeName)
+            : [element];
+        const position = siblings.indexOf(element) + 1;
+        const path = `${parentPath}/${element.nodeName}${position > 1 ? `[${position}]` : ''}`;
+        const children = Array.from(element.children);
+
+        entries.set(path, { value: children.length === 0 ? normalizeText(element.textContent) : null, element: true });
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            if (name === 'xmlns' || name.startsWith('xmlns:')) return;
+            entries.set(`${path}/@${name}`, { value: normalizeText(value), element: false });
+        });
+        children.forEach(child => walk(child, path));
+    };
+    if (xmlDoc.documentElement) {
+        walk(xmlDoc.documentElement, '');
+    }
+    return entries;
+};
+
+const parentPathOf = (path) => path.slice(0, path.lastIndexOf('/'));
+
+// Changed leaf values and attributes, plus added/removed elements (only the topmost of a subtree)
+const diffXml = (beforeDoc, afterDoc) => {
+    const before = flattenXml(beforeDoc);
+    const after = flattenXml(afterDoc);
+    const subtreeText = (entries, path) => Array.from(entries)
+        .filter(([entryPath, { value }]) => (entryPath === path || entryPath.startsWith(`${path}/`)) && value)
+        .map(([, { value }]) => value)
+        .join(' ');
+
+    const diffs = [];
+    for (const [path, { value }] of before) {
+        if (!after.has(path)) {
+            if (!before.has(parentPathOf(path)) || after.has(parentPathOf(path))) {
+                diffs.push({ path, status: 'removed', before: subtreeText(before, path), after: '' });
+            }
+        } else if (value !== after.get(path).value) {
+            diffs.push({ path, status: 'changed', before: value || '', after: after.get(path).value || '' });
+        }
+    }
+    for (const path of after.keys()) {
+        if (!before.has(path) && (!after.has(parentPathOf(path)) || before.has(parentPathOf(path)))) {
+            diffs.push({ path, status: 'added', before: '', after: subtreeText(after, path) });
+        }
+    }
+    return diffs;
+};
+
+// Where the field at `path` sits among the leaves carrying the same text, in document order.
+// Stylesheets render fields in roughly that order, so the n-th rendered occurrence of the value
+// stands in for the field itself. An added or removed subtree is located by its first leaf.
+const locateDiffField = (entries, path) => {
+    const leaves = Array.from(entries).filter(([, { value }]) => value);
+    const anchor = leaves.find(([entryPath]) => entryPath === path || entryPath.startsWith(`${path}/`));
+    if (!anchor) return null;
+    const [anchorPath, { value }] = anchor;
+    const sameValue = leaves.filter(([, entry]) => entry.value === value);
+    return { value, occurrence: sameValue.findIndex(([entryPath]) => entryPath === anchorPath) };
+};
+
+// The innermost rendered elements whose whole text is the value, e.g. the cell showing a field
+const findFieldElements = (root, value) => Array.from(root.querySelectorAll('*'))
+    .filter(element => normalizeText(element.textContent) === value &&
+        !Array.from(element.children).some(child => normalizeText(child.textContent) === value));
+
+const XML_DIFF_STATUS_LABELS = {
+    'changed': { label: '変更', color: '#e65100' },
+    'added': { label: '追加', color: '#2e7d32' },
+    'removed': { label: '削除', color: '#c62828' }
+};
+
+// Another document of the same form (same stylesheet name), nearest in list order
+const findComparisonPartner = (uniqueKey) => {
+    const pairData = fileStorage.get(uniqueKey);
+    const keys = getVisibleKeys().concat(Array.from(fileStorage.keys()));
+    return keys.find(key => key !== uniqueKey && fileStorage.get(key).xsl.name === pairData.xsl.name) ||
+        keys.find(key => key !== uniqueKey) ||
+        null;
+};
+
+const clearSearchHits = (root) => {
+    root.querySelectorAll('mark.search-hit').forEach(mark => mark.replaceWith(...mark.childNodes));
+    root.normalize();
+};
+
+const renderCompare = (leftKey, rightKey) => {
+    const rightPanel = document.querySelector('.right-panel');
+    if (!rightPanel) return;
+
+    rightPanel.innerHTML = "";
+    currentSelectedKey = null;
+    document.querySelectorAll('.file-item').forEach(item => {
+        item.classList.remove('active');
+    });
+
+    const view = document.createElement("div");
+    view.setAttribute("class", "diagnostics-view compare-view");
+
+    const header = document.createElement("div");
+    header.setAttribute("class", "page-header");
+
+    const heading = document.createElement("h2");
+    heading.innerText = "比較";
+
+    const displayTitles = computeDisplayTitles();
+    const leftForm = fileStorage.get(leftKey).xsl.name;
+    // Same form first: comparing a notice with its corrected re-issue is the usual case
+    const candidateKeys = Array.from(fileStorage.keys()).sort((a, b) =>
+        (fileStorage.get(b).xsl.name === leftForm) - (fileStorage.get(a).xsl.name === leftForm));
+
+    const createDocumentSelect = (selectedKey, onChange) => {
+        const select = document.createElement("select");
+        select.setAttribute("class", "compare-select");
+        candidateKeys.forEach(key => {
+            const option = document.createElement("option");
+            option.value = key;
+            option.innerText = displayTitles.get(key);
+            select.appendChild(option);
+        });
+        select.value = selectedKey;
+        select.onchange = () => onChange(select.value);
+        return select;
+    };
+
+    const controls = document.createElement("div");
+    controls.setAttribute("class", "header-left");
+
+    const swapBtn = document.createElement("button");
+    swapBtn.setAttribute("class", "home-btn");
+    swapBtn.innerText = "左右を入れ替え";
+    swapBtn.onclick = () => renderCompare(rightKey, leftKey);
+
+    const backBtn = document.createElement("button");
+    backBtn.setAttribute("class", "home-btn");
+    backBtn.innerText = "プレビューに戻る";
+    backBtn.onclick = () => renderPreview(leftKey, fileStorage.get(leftKey));
+
+    controls.append(
+        createDocumentSelect(leftKey, key => renderCompare(key, rightKey)),
+        document.createTextNode(" ⇔ "),
+        createDocumentSelect(rightKey, key => renderCompare(leftKey, key)),
+        swapBtn,
+        backBtn
+    );
+    header.append(heading, controls);
+
+    const summary = document.createElement("p");
+    summary.setAttribute("class", "settings-note");
+    summary.innerText = "XMLを比較しています...";
+
+    const diffTable = document.createElement("table");
+    diffTable.setAttribute("class", "diagnostics-table compare-diff");
+
+    const panes = document.createElement("div");
+    panes.setAttribute("class", "compare-panes");
+
+    view.append(header, summary, diffTable, panes);
+    rightPanel.appendChild(view);
+
+    const sides = [leftKey, rightKey].map(uniqueKey => {
+        const pane = document.createElement("div");
+        pane.setAttribute("class", "compare-pane");
+        panes.appendChild(pane);
+        return { uniqueKey, pairData: fileStorage.get(uniqueKey), pane, contents: [], entries: null };
+    });
+
+    // Scroll positions follow each other proportionally. Only the pane under the pointer leads,
+    // so the follower's own scroll event doesn't bounce back.
+    let leadingPane = null;
+    sides.forEach(({ pane }, index) => {
+        const other = sides[1 - index].pane;
+        pane.addEventListener('pointerenter', () => {
+            leadingPane = pane;
+        });
+        pane.addEventListener('scroll', () => {
+            if (leadingPane !== pane) return;
+            const ratioY = pane.scrollTop / Math.max(pane.scrollHeight - pane.clientHeight, 1);
+            const ratioX = pane.scrollLeft / Math.max(pane.scrollWidth - pane.clientWidth, 1);
+            other.scrollTop = ratioY * (other.scrollHeight - other.clientHeight);
+            other.scrollLeft = ratioX * (other.scrollWidth - other.clientWidth);
+        });
+    });
+
+    // Each side marks only the rendering of the diff's own field and scrolls to it; the same
+    // value elsewhere on the page (an amount repeated in a total, a short code) stays unmarked
+    const showValue = (diff) => {
+        leadingPane = null;
+        sides.forEach(({ pane, contents, entries }) => {
+            contents.forEach(clearSearchHits);
+            const field = entries && locateDiffField(entries, diff.path);
+            if (!field) return;
+            // Prefer elements showing exactly the value; fall back to occurrences inside longer text
+            const fieldElements = contents.flatMap(root => findFieldElements(root, field.value));
+            const hits = fieldElements.length > 0
+                ? fieldElements.flatMap(element => highlightSearchHits(element, field.value))
+                : contents.flatMap(root => highlightSearchHits(root, field.value));
+            if (hits.length === 0) return;
+            const target = hits[Math.min(field.occurrence, hits.length - 1)];
+            hits.filter(hit => hit !== target).forEach(hit => hit.replaceWith(...hit.childNodes));
+            target.classList.add('current');
+            const paneRect = pane.getBoundingClientRect();
+            const frameRect = target.ownerDocument.defaultView.frameElement.getBoundingClientRect();
+            pane.scrollTop += frameRect.top + target.getBoundingClientRect().top - paneRect.top - pane.clientHeight / 3;
+        });
+    };
+
+    sides.forEach(side => {
+        const { pairData, pane } = side;
+        const title = document.createElement("div");
+        title.setAttribute("class", "compare-pane-title");
+        title.innerText = `${displayTitles.get(side.uniqueKey)} — ${pairData.xml.name}`;
+        pane.appendChild(title);
+
+        transformPair(side.uniqueKey, pairData).then((docs) => {
+            clearTransformError(pairData);
+            docs.forEach(([name, doc]) => {
+                const container = document.createElement("div");
+                container.setAttribute("class", isLandscapePair(pairData) ? "container landscape" : "container");
+                pane.appendChild(container);
+                side.contents.push(mountDocumentFrame(container, doc, pairData));
+            });
+        }).catch((error) => {
+            recordTransformError(pairData, error);
+            pane.append(createRenderError(error));
+        });
+    });
+
+    Promise.all(sides.map(({ pairData }) => parseXmlFile(pairData.xml))).then(([beforeDoc, afterDoc]) => {
+        sides[0].entries = flattenXml(beforeDoc);
+        sides[1].entries = flattenXml(afterDoc);
+        const diffs = diffXml(beforeDoc, afterDoc);
+        if (diffs.length === 0) {
+            summary.innerText = leftKey === rightKey ? "同じ公文書です。" : "XMLの内容に違いはありません。";
+            return;
+        }
+        const counts = new Map();
+        diffs.forEach(({ status }) => counts.set(status, (counts.get(status) || 0) + 1));
+        summary.innerText = `${diffs.length}件の違い（` +
+            Array.from(counts).map(([status, count]) => `${XML_DIFF_STATUS_LABELS[status].label} ${count}`).join(' / ') +
+            '）。行をクリックすると文書内の該当箇所を強調します。';
+
+        const headRow = document.createElement("tr");
+        ['項目', '種別', '左', '右'].forEach(text => {
+            const th = document.createElement("th");
+            th.innerText = text;
+            headRow.appendChild(th);
+        });
+        diffTable.appendChild(headRow);
+
+        diffs.forEach(diff => {
+            const row = document.createElement("tr");
+            row.onclick = () => {
+                diffTable.querySelectorAll('tr.selected').forEach(selected => selected.classList.remove('selected'));
+                row.classList.add('selected');
+                showValue(diff);
+            };
+
+            const pathCell = document.createElement("td");
+            pathCell.setAttribute("class", "compare-path");
+            pathCell.innerText = diff.path;
+
+            const statusCell = document.createElement("td");
+            const { label, color } = XML_DIFF_STATUS_LABELS[diff.status];
+            statusCell.innerText = label;
+            statusCell.style.cssText = `color: ${color}; font-weight: 600; white-space: nowrap;`;
+
+            const beforeCell = document.createElement("td");
+            beforeCell.innerText = diff.before;
+            const afterCell = document.createElement("td");
+            afterCell.innerText = diff.after;
+
+            row.append(pathCell, statusCell, beforeCell, afterCell);
+            diffTable.appendChild(row);
+        });
+    }).catch((error) => {
+        summary.innerText = `XMLを比較できませんでした: ${error.message}`;
+    });
+};
+
+const DIAGNOSTIC_STATUS_LABELS = {
+    'paired': { label: 'ペア済み', color: '#2e7d32', severity: 3 },
+    'unchecked': { label: '未変換', color: '#757575', severity: 2 },
+    'stylesheet': { label: 'スタイルシート', color: '#2e7d32', severity: 3 },
+    'waiting': { label: 'スタイルシート待ち', color: '#e65100', severity: 1 },
+    'unused-stylesheet': { label: '対応するXMLなし', color: '#757575', severity: 2 },
+    'parse-error': { label: '解析エラー', color: '#c62828', severity: 0 },
+    'transform-error': { label: 'XSLT変換エラー', color: '#c62828', severity: 0 },
+    'zip-error': { label: 'ZIP展開エラー', color: '#c62828', severity: 0 },
+    'unsupported': { label: '未対応のファイル', color: '#757575', severity: 2 },
+    'attachment': { label: '添付ファイル', color: '#2e7d32', severity: 3 }
+};
+
+const collectDiagnostics = () => {
+    const rows = new Map();
+    const xslUsage = new Map();
+
+    for (const pairData of fileStorage.values()) {
+        const path = pathOf(pairData.xml);
+        rows.set(path, {
+            path,
+            status: checkedTransforms.has(pairData) ? 'paired' : 'unchecked',
+            message: [`${pairData.xsl.name} で表示`, ...(pairData.encodingWarnings || [])].join(' / ')
+        });
+        if (pairData.xslPath) {
+            xslUsage.set(pairData.xslPath, (xslUsage.get(pairData.xslPath) || 0) + 1);
+        }
+    }
+
+    for (const pooledXmls of xmlPool.values()) {
+        pooledXmls.forEach(xmlItem => {
+            const expected = xmlItem.stylesheetPath || xmlItem.path.replace(/\.xml$/, '.xsl');
+            rows.set(xmlItem.path, {
+                path: xmlItem.path,
+                status: 'waiting',
+                message: [`${expected} が読み込まれていません`, xmlItem.encodingWarning].filter(Boolean).join(' / ')
+            });
+        });
+    }
+
+    const attachmentUsage = new Map();
+    for (const pairData of fileStorage.values()) {
+        attachmentsFor(pairData).forEach(({ path }) => attachmentUsage.set(path, (attachmentUsage.get(path) || 0) + 1));
+    }
+    for (const { path } of attachments.values()) {
+        const usage = attachmentUsage.get(path) || 0;
+        rows.set(path, {
+            path,
+            status: 'attachment',
+            message: usage > 0 ? `${usage}件の公文書に添付` : '同じフォルダに公文書がありません'
+        });
+    }
+
+    for (const [path, xslData] of xslCache) {
+        const usage = xslUsage.get(path) || 0;
+        rows.set(path, {
+            path,
+            status: usage > 0 ? 'stylesheet' : 'unused-stylesheet',
+            message: [usage > 0 ? `${usage}件のXMLで使用` : '', xslData.encodingWarning].filter(Boolean).join(' / ')
+        });
+    }
+
+    // Recorded problems override the pairing status (e.g. a paired XML that fails to transform)
+    for (const diagnostic of fileDiagnostics.values()) {
+        rows.set(diagnostic.path, diagnostic);
+    }
+
+    return Array.from(rows.values()).sort((a, b) =>
+        DIAGNOSTIC_STATUS_LABELS[a.status].severity - DIAGNOSTIC_STATUS_LABELS[b.status].severity ||
+        a.path.localeCompare(b.path)
+    );
+};
+
+const countDiagnosticProblems = () => collectDiagnostics()
+    .filter(({ status }) => DIAGNOSTIC_STATUS_LABELS[status].severity < 2)
+    .length;
+
+// Transforms the entries nobody has opened yet, so failures show without viewing each document.
+// Stops when the diagnostics view is left and redraws it once everything is checked.
+const checkTransforms = async (entries, view, progressLabel) => {
+    for (let i = 0; i < entries.length; i++) {
+        if (!view.isConnected) return;
+        const [uniqueKey, pairData] = entries[i];
+        if (fileStorage.get(uniqueKey) !== pairData) continue;
+        progressLabel.innerText = `変換を確認しています... ${i + 1} / ${entries.length}`;
+        try {
+            await transformPair(uniqueKey, pairData, { keep: false });
+            clearTransformError(pairData);
+        } catch (error) {
+            recordTransformError(pairData, error);
+        }
+    }
+    if (view.isConnected) {
+        renderDiagnostics();
+    }
+};
+
+const renderDiagnostics = () => {
+    const rightPanel = document.querySelector('.right-panel');
+    if (!rightPanel) return;
+
+    rightPanel.innerHTML = "";
+    currentSelectedKey = null;
+    document.querySelectorAll('.file-item').forEach(item => {
+        item.classList.remove('active');
+    });
+
+    const rows = collectDiagnostics();
+
+    const view = document.createElement("div");
+    view.setAttribute("class", "diagnostics-view");
+
+    const header = document.createElement("div");
+    header.setAttribute("class", "page-header");
+
+    const heading = document.createElement("h2");
+    heading.innerText = `読み込み診断 (${rows.length}ファイル)`;
+
+    const summary = document.createElement("span");
+    summary.style.cssText = "font-size: 13px; color: #666;";
+    const counts = new Map();
+    rows.forEach(({ status }) => counts.set(status, (counts.get(status) || 0) + 1));
+    summary.innerText = Array.from(counts)
+        .map(([status, count]) => `${DIAGNOSTIC_STATUS_LABELS[status].label}: ${count}`)
+        .join(' / ');
+
+    const progressLabel = document.createElement("span");
+    progressLabel.style.cssText = "font-size: 13px; color: #1565c0;";
+
+    header.append(heading, summary, progressLabel);
+
+    const table = document.createElement("table");
+    table.setAttribute("class", "diagnostics-table");
+
+    const headRow = document.createElement("tr");
+    ['ファイル', '状態', '詳細'].forEach(text => {
+        const th = document.createElement("th");
+        th.innerText = text;
+        headRow.appendChild(th);
+    });
+    table.appendChild(headRow);
+
+    rows.forEach(({ path, status, message }) => {
+        const row = document.createElement("tr");
+
+        const pathCell = document.createElement("td");
+        pathCell.innerText = path;
+
+        const statusCell = document.createElement("td");
+        const { label, color } = DIAGNOSTIC_STATUS_LABELS[status];
+        statusCell.innerText = label;
+        statusCell.style.cssText = `color: ${color}; font-weight: 600; white-space: nowrap;`;
+
+        const messageCell = document.createElement("td");
+        messageCell.innerText = message || '';
+
+        row.append(pathCell, statusCell, messageCell);
+        table.appendChild(row);
+    });
+
+    view.append(header, table);
+    rightPanel.appendChild(view);
+
+    const unchecked = Array.from(fileStorage).filter(([, pairData]) => !checkedTransforms.has(pairData));
+    if (unchecked.length > 0) {
+        checkTransforms(unchecked, view, progressLabel);
+    }
+};
+
+const SEARCH_SNIPPET_RADIUS = 30;
+const SEARCH_MAX_SNIPPETS = 3;
+
+const fullTextSearch = {
+    query: '',
+    results: null
+};
+
+// NFKC + lower case, keeping a map back to the source offsets so hits found
+// in the normalized text (全角 digits, ㈱ etc.) can be located in the original
+const toSearchableText = (text) => {
+    let normalized = '';
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+        const code = text.codePointAt(i);
+        const ch = String.fromCodePoint(code);
+        const folded = ch.normalize('NFKC').toLowerCase();
+        for (let j = 0; j < folded.length; j++) {
+            offsets.push(i);
+        }
+        normalized += folded;
+        if (code > 0xFFFF) i++;
+    }
+    offsets.push(text.length);
+    return { normalized, offsets };
+};
+
+const normalizeSearchQuery = (query) => query.trim().normalize('NFKC').toLowerCase();
+
+// [[start, end]] ranges of every occurrence in the source text
+const findOccurrences = (text, query) => {
+    const needle = normalizeSearchQuery(query);
+    if (!needle) return [];
+    const { normalized, offsets } = toSearchableText(text);
+    const ranges = [];
+    let index = normalized.indexOf(needle);
+    while (index !== -1) {
+        ranges.push([offsets[index], offsets[index + needle.length]]);
+        index = normalized.indexOf(needle, index + needle.length);
+    }
+    return ranges;
+};
+
+const collectText = (node) => {
+    const parts = [];
+    const walk = (current) => {
+        if (current.nodeType === Node.TEXT_NODE || current.nodeType === Node.CDATA_SECTION_NODE) {
+            const text = current.nodeValue.trim();
+            if (text) parts.push(text);
+            return;
+        }
+        if (current.nodeName === 'script' || current.nodeName === 'style') return;
+        Array.from(current.childNodes).forEach(walk);
+    };
+    walk(node);
+    return normalizeText(parts.join(' '));
+};
+
+const getDocumentText = async (uniqueKey, pairData) => {
+    const cached = documentTextIndex.get(uniqueKey);
+    if (cached && cached.xml === pairData.xml && cached.xsl === pairData.xsl) {
+        return cached;
+    }
+
+    const entry = {
+        xml: pairData.xml,
+        xsl: pairData.xsl,
+        xmlText: '',
+        renderedText: ''
+    };
+    try {
+        const xmlDoc = await parseXmlFile(pairData.xml);
+        entry.xmlText = xmlDoc.documentElement ? collectText(xmlDoc.documentElement) : '';
+    } catch (error) {
+        // An unreadable file (e.g. changed on disk since it was dropped) is skipped and not cached
+        console.error('Search index read error:', error);
+        return entry;
+    }
+    try {
+        const docs = await transformPair(uniqueKey, pairData, { keep: false });
+        entry.renderedText = docs
+            .map(([name, doc]) => {
+                const htmlDoc = new DOMParser().parseFromString(doc, 'text/html');
+                return htmlDoc.body ? collectText(htmlDoc.body) : '';
+            })
+            .join(' ');
+    } catch (error) {
+        // Untransformable documents are still searchable by their XML text
+        console.error('Search index transform error:', error);
+    }
+    documentTextIndex.set(uniqueKey, entry);
+    return entry;
+};
+
+const buildSnippets = (text, ranges) => ranges.slice(0, SEARCH_MAX_SNIPPETS).map(([start, end]) => ({
+    before: (start > SEARCH_SNIPPET_RADIUS ? '…' : '') + text.slice(Math.max(0, start - SEARCH_SNIPPET_RADIUS), start),
+    match: text.slice(start, end),
+    after: text.slice(end, end + SEARCH_SNIPPET_RADIUS) + (end + SEARCH_SNIPPET_RADIUS < text.length ? '…' : '')
+}));
+
+const searchDocuments = async (query, onProgress) => {
+    const results = [];
+    const keys = Array.from(fileStorage.keys());
+    for (let i = 0; i < keys.length; i++) {
+        const pairData = fileStorage.get(keys[i]);
+        if (!pairData) continue;
+        if (onProgress) onProgress(i + 1, keys.length);
+
+        const { xmlText, renderedText } = await getDocumentText(keys[i], pairData);
+        const renderedRanges = findOccurrences(renderedText, query);
+        const xmlRanges = findOccurrences(xmlText, query);
+        if (renderedRanges.length === 0 && xmlRanges.length === 0) continue;
+
+        // Prefer snippets from the rendered document; fall back to the raw XML text
+        // for values the stylesheet does not display
+        results.push({
+            uniqueKey: keys[i],
+            renderedCount: renderedRanges.length,
+            xmlCount: xmlRanges.length,
+            snippets: renderedRanges.length > 0
+                ? buildSnippets(renderedText, renderedRanges)
+                : buildSnippets(xmlText, xmlRanges)
+        });
+    }
+    return results;
+};
+
+// Wraps each occurrence inside a single text node with <mark>; returns the marks in document order
+const highlightSearchHits = (root, query) => {
+    const textNodes = [];
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const parentName = walker.currentNode.parentNode.nodeName.toLowerCase();
+        if (parentName !== 'script' && parentName !== 'style' &&
+            !walker.currentNode.parentNode.closest('.viewer-annotations')) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+
+    const marks = [];
+    textNodes.forEach(textNode => {
+        const ranges = findOccurrences(textNode.nodeValue, query);
+        // Split from the end so earlier offsets stay valid
+        const nodeMarks = [];
+        for (let i = ranges.length - 1; i >= 0; i--) {
+            const [start, end] = ranges[i];
+            const matchNode = textNode.splitText(start);
+            matchNode.splitText(end - start);
+            const mark = root.ownerDocument.createElement("mark");
+            mark.setAttribute("class", "search-hit");
+            matchNode.parentNode.replaceChild(mark, matchNode);
+            mark.appendChild(matchNode);
+            nodeMarks.unshift(mark);
+        }
+        marks.push(...nodeMarks);
+    });
+    return marks;
+};
+
+const createSearchHitNavigation = (hits) => {
+    const nav = document.createElement("div");
+    nav.setAttribute("class", "header-left search-hit-nav");
+
+    const label = document.createElement("span");
+    label.style.cssText = "font-size: 13px; color: #666;";
+
+    const backBtn = document.createElement("button");
+    backBtn.setAttribute("class", "home-btn");
+    backBtn.innerText = "検索結果";
+    backBtn.onclick = () => renderFullTextSearch();
+
+    if (hits.length === 0) {
+        label.innerText = `「${fullTextSearch.query}」は表示内容にありません（XMLのみ一致）`;
+        nav.append(label, backBtn);
+        return nav;
+    }
+
+    let current = -1;
+    const moveTo = (index) => {
+        if (current >= 0) hits[current].classList.remove('current');
+        current = (index + hits.length) % hits.length;
+        hits[current].classList.add('current');
+        hits[current].scrollIntoView({ block: 'center', behavior: 'smooth' });
+        label.innerText = `ヒット ${current + 1} / ${hits.length}`;
+    };
+
+    const prevBtn = document.createElement("button");
+    prevBtn.setAttribute("class", "home-btn");
+    prevBtn.innerText = "前のヒット";
+    prevBtn.onclick = () => moveTo(current - 1);
+
+    const nextBtn = document.createElement("button");
+    nextBtn.setAttribute("class", "home-btn");
+    nextBtn.innerText = "次のヒット";
+    nextBtn.onclick = () => moveTo(current + 1);
+
+    nav.append(label, prevBtn, nextBtn, backBtn);
+    setTimeout(() => moveTo(0), 0);
+    return nav;
+};
+
+const renderFullTextSearch = () => {
+    const rightPanel = document.querySelector('.right-panel');
+    if (!rightPanel) return;
+
+    rightPanel.innerHTML = "";
+    currentSelectedKey = null;
+    document.querySelectorAll('.file-item').forEach(item => {
+        item.classList.remove('active');
+    });
+
+    const view = document.createElement("div");
+    view.setAttribute("class", "diagnostics-view search-view");
+
+    const header = document.createElement("div");
+    header.setAttribute("class", "page-header");
+
+    const heading = document.createElement("h2");
+    heading.innerText = "全文検索";
+
+    const form = document.createElement("form");
+    form.setAttribute("class", "header-left");
+
+    const input = document.createElement("input");
+    input.setAttribute("type", "search");
+    input.setAttribute("placeholder", "被保険者番号・金額・氏名など");
+    input.value = fullTextSearch.query;
+
+    const searchBtn = document.createElement("button");
+    searchBtn.setAttribute("class", "print-btn");
+    searchBtn.setAttribute("type", "submit");
+    searchBtn.innerText = "検索";
+
+    const status = document.createElement("span");
+    status.style.cssText = "font-size: 13px; color: #666;";
+
+    form.append(input, searchBtn, status);
+    header.append(heading, form);
+
+    const resultList = document.createElement("div");
+    resultList.setAttribute("class", "search-results");
+
+    const showResults = () => {
+        resultList.innerHTML = "";
+        const results = fullTextSearch.results;
+        if (!results) return;
+
+        const total = results.reduce((sum, { renderedCount, xmlCount }) => sum + Math.max(renderedCount, xmlCount), 0);
+        status.innerText = `${results.length}件の公文書で${total}箇所ヒット`;
+
+        results.forEach(({ uniqueKey, renderedCount, xmlCount, snippets }) => {
+            const pairData = fileStorage.get(uniqueKey);
+            if (!pairData) return;
+
+            const item = document.createElement("div");
+            item.setAttribute("class", "search-result");
+            item.onclick = () => renderPreview(uniqueKey, pairData, { highlight: fullTextSearch.query });
+
+            const title = document.createElement("strong");
+            title.innerText = pairData.title || pairData.basename;
+
+            const meta = document.createElement("small");
+            meta.innerText = [
+                pairData.jigyoushoName,
+                pairData.xml.name,
+                renderedCount > 0 ? `表示内容 ${renderedCount}件` : `XMLのみ ${xmlCount}件`
+            ].filter(Boolean).join(' / ');
+
+            item.append(title, meta);
+            snippets.forEach(({ before, match, after }) => {
+                const snippet = document.createElement("div");
+                snippet.setAttribute("class", "search-snippet");
+                const mark = document.createElement("mark");
+                mark.setAttribute("class", "search-hit");
+                mark.innerText = match;
+                snippet.append(before, mark, after);
+                item.appendChild(snippet);
+            });
+            resultList.appendChild(item);
+        });
+    };
+
+    form.onsubmit = async (e) => {
+        e.preventDefault();
+        const query = input.value.trim();
+        fullTextSearch.query = query;
+        fullTextSearch.results = null;
+        resultList.innerHTML = "";
+        if (!query) {
+            status.innerText = "";
+            return;
+        }
+
+        searchBtn.disabled = true;
+        try {
+            const results = await searchDocuments(query, (done, total) => {
+                status.innerText = `検索中... ${done} / ${total}`;
+            });
+            // Ignore stale results if another search started meanwhile
+            if (fullTextSearch.query !== query) return;
+            fullTextSearch.results = results;
+            showResults();
+        } catch (error) {
+            console.error('Search error:', error);
+            if (fullTextSearch.query === query) {
+                status.innerText = `検索に失敗しました: ${error.message}`;
+            }
+        } finally {
+            searchBtn.disabled = false;
+        }
+    };
+
+    view.append(header, resultList);
+    rightPanel.appendChild(view);
+    showResults();
+    input.focus();
+};
+
+const buildInventoryRows = (uniqueKeys) => {
+    const header = ['No.', 'ファイル名', '文書名（XSLタイトル）', ...metadataFields.map(field => field.label),
+        'XMLファイル', 'XMLサイズ(バイト)', 'XSLファイル', 'XSLサイズ(バイト)', '取込元', 'パス'];
+    const rows = uniqueKeys.map((uniqueKey, index) => {
+        const pairData = fileStorage.get(uniqueKey);
+        const sourceInfo = pairData.sourceInfo || {};
+        return [
+            index + 1,
+            pairData.basename,
+            pairData.title || '',
+            ...metadataFields.map(field => (pairData.metadata && pairData.metadata[field.label]) || ''),
+            pairData.xml.name,
+            pairData.xml.size,
+            pairData.xsl.name,
+            pairData.xsl.size,
+            sourceInfo.sourceName || '',
+            sourceInfo.directory || ''
+        ];
+    });
+    return [header, ...rows];
+};
+
+const toCsv = (rows) => {
+    // Text from the XML that starts like a formula would run in Excel (CSV injection). A leading
+    // + or - is left alone when only digits and punctuation follow, so amounts, phone numbers and
+    // placeholders stay as they are:
+    //   "-1,000" → -1,000   "+81-3-1234-5678" → +81-3-1234-5678   "-" → -
+    //   "=1+2" → '=1+2      "-2+3+cmd|' /C calc'!A0" → '-2+3+cmd|' /C calc'!A0
+    const isFormulaLike = (text) => /^[=@\t\r]/.test(text) ||
+        (/^[+-]/.test(text) && !/^[+-][\d\s,.()\-]*$/.test(text));
+    const escapeCell = (value) => {
+        const text = typeof value === 'string' && isFormulaLike(value) ? `'${value}` : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    // BOM so that Excel opens the UTF-8 file without garbling Japanese text
+    return '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+};
+
+const escapeXml = (text) => String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const toColumnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+// Minimal SpreadsheetML package: one sheet with inline strings, no shared strings or styles
+const toXlsx = async (rows, sheetName = '一覧') => {
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const ref = `${toColumnName(columnIndex)}${rowIndex + 1}`;
+            if (typeof value === 'number') {
+                return `<c r="${ref}"><v>${value}</v></c>`;
             }
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        });
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    return createZip([
+        {
+            path: '[Content_Types].xml',
+            data: xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>'
+        },
+        {
+            path: '_rels/.rels',
+            data: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            path: 'xl/workbook.xml',
+            data: xmlHeader +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>'
+        },
+        {
+            path: 'xl/_rels/workbook.xml.rels',
+            data: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            path: 'xl/worksheets/sheet1.xml',
+            data: xmlHeader +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${sheetRows.join('')}</sheetData>` +
+                '</worksheet>'
+        }
+    ]);
+};
+
+const fileDateStamp = () => {
+    const now = new Date();
+    return `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const inventoryFileName = (extension) => `公文書一覧_${fileDateStamp()}.${extension}`;
+
+const exportInventory = async (uniqueKeys, format) => {
+    const rows = buildInventoryRows(uniqueKeys);
+    if (format === 'xlsx') {
+        downloadBlob(await toXlsx(rows), inventoryFileName('xlsx'));
+    } else {
+        downloadBlob(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }), inventoryFileName('csv'));
+    }
+};
+
+// Empty fields leave no stray separators behind ("001__事業所" -> "001_事業所")
+const expandFileNameTemplate = (template, pairData, index) => {
+    const values = {
+        ...(pairData.metadata || {}),
+        no: String(index + 1).padStart(3, '0'),
+        title: pairData.title || pairData.basename,
+        jigyousho: pairData.jigyoushoName || '',
+        basename: pairData.basename
+    };
+    const name = template
+        .replace(/\{([^{}]+)\}/g, (match, key) => Object.prototype.hasOwnProperty.call(values, key) ? values[key] : '')
+        .replace(/_{2,}/g, '_')
+        .replace(/^_+|_+$/g, '');
+    return toSafeFileName(name || pairData.basename);
+};
+
+// One self-contained page per document: sanitised XSLT output with the frame CSS inlined, the
+// text format rules applied and the annotations drawn, so it opens the same anywhere
+const buildStandaloneHtml = (html, pairData) => {
+    const doc = sanitizeDocumentHtml(html);
+    doc.querySelectorAll('meta[charset]').forEach(element => element.remove());
+    const charset = doc.createElement('meta');
+    charset.setAttribute('charset', 'utf-8');
+    doc.head.prepend(charset);
+
+    const style = doc.createElement('style');
+    style.textContent = [
+        buildDocumentFrameCss(isLandscapePair(pairData)),
+        // The viewer sizes its frame to the content; a standalone page has to scroll
+        'body { overflow: visible; }',
+        buildPrintMarginCss('', pairData)
+    ].join('\n');
+    doc.head.appendChild(style);
+
+    applyTextFormatting(doc.body, pairData);
+    renderAnnotationLayer(doc.body, pairData.annotations);
+    return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+};
+
+const buildExportIndexHtml = (rows) => {
+    const listedFields = metadataFields.filter(field => field.showInList);
+    const headings = ['No.', '文書名', ...listedFields.map(field => field.label), '元ファイル'];
+    const bodyRows = rows.map(({ pairData, links, error }, index) => {
+        const documentCell = error
+            ? `${escapeXml(pairData.title || pairData.basename)}<br><span class="error">変換できませんでした: ${escapeXml(error)}</span>`
+            : links.map(({ href, label }) => `<a href="${escapeXml(encodeURIComponent(href))}">${escapeXml(label)}</a>`).join('<br>');
+        const cells = [
+            String(index + 1),
+            documentCell,
+            ...listedFields.map(field => escapeXml((pairData.metadata && pairData.metadata[field.label]) || '')),
+            escapeXml(pathOf(pairData.xml))
+        ];
+        return `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+    });
+    return `<!DOCTYPE html>
+<html lang="ja"><head><meta charset="utf-8"><title>公文書一覧</title><style>
+    body { margin: 24px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "Hiragino Sans", Meiryo, sans-serif; color: #333; }
+    h1 { font-size: 18px; }
+    p { font-size: 12px; color: #666; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #e0e0e0; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    .error { color: #c62828; font-size: 12px; }
+</style></head><body>
+<h1>公文書一覧（${rows.length}件）</h1>
+<p>${escapeXml(new Date().toLocaleString('ja-JP'))} 出力</p>
+<table><tr>${headings.map(heading => `<th>${escapeXml(heading)}</th>`).join('')}</tr>
+${bodyRows.join('\n')}
+</table></body></html>
+`;
+};
+
+// The documents as HTML files in a ZIP, with an index.html linking them. Transform failures
+// are listed in the index instead of stopping the export.
+const exportHtmlArchive = async (uniqueKeys, onProgress = () => {}) => {
+    const entries = [];
+    const rows = [];
+    const usedNames = new Set(['index']);
+    const uniqueName = (name) => {
+        let candidate = name;
+        for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+            candidate = `${name}_${n}`;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    };
+
+    for (let i = 0; i < uniqueKeys.length; i++) {
+        onProgress(i + 1, uniqueKeys.length);
+        const uniqueKey = uniqueKeys[i];
+        const pairData = fileStorage.get(uniqueKey);
+        try {
+            const docs = await transformPair(uniqueKey, pairData, { keep: false });
+            const baseName = expandFileNameTemplate(printSettings.fileNameTemplate, pairData, i);
+            const links = docs.map(([name, html], docIndex) => {
+                const fileName = `${uniqueName(docs.length > 1 ? `${baseName}_${docIndex + 1}` : baseName)}.html`;
+                entries.push({ path: fileName, data: buildStandaloneHtml(html, pairData) });
+                return { href: fileName, label: docs.length > 1 ? `${pairData.title || pairData.basename} (${name})` : pairData.title || pairData.basename };
+            });
+            rows.push({ pairData, links });
+        } catch (error) {
+            recordTransformError(pairData, error);
+            rows.push({ pairData, error: error.message });
+        }
+    }
+
+    entries.unshift({ path: 'index.html', data: buildExportIndexHtml(rows) });
+    downloadBlob(await createZip(entries), `公文書HTML_${fileDateStamp()}.zip`);
+};
+
+const renderPrintSettings = () => {
+    const rightPanel = document.querySelector('.right-panel');
+    if (!rightPanel) return;
+
+    rightPanel.innerHTML = "";
+    currentSelectedKey = null;
+    document.querySelectorAll('.file-item').forEach(item => {
+        item.classList.remove('active');
+    });
+
+    const settings = { ...printSettings, slots: { ...printSettings.slots } };
+
+    const view = document.createElement("div");
+    view.setAttribute("class", "settings-view");
+
+    const header = document.createElement("div");
+    header.setAttribute("class", "page-header");
+
+    const heading = document.createElement("h2");
+    heading.innerText = "印刷設定（ヘッダー・フッター）";
+
+    const saveBtn = document.createElement("button");
+    saveBtn.setAttribute("class", "print-btn");
+    saveBtn.innerText = "保存";
+    saveBtn.onclick = () => {
+        savePrintSettings(settings);
+        saveBtn.innerText = "保存しました";
+        setTimeout(() => { saveBtn.innerText = "保存"; }, 1500);
+    };
+
+    header.append(heading, saveBtn);
+
+    const enabledLabel = document.createElement("label");
+    const enabledBox = document.createElement("input");
+    enabledBox.setAttribute("type", "checkbox");
+    enabledBox.checked = settings.enabled;
+    enabledBox.onchange = () => { settings.enabled = enabledBox.checked; };
+    enabledLabel.append(enabledBox, " 印刷・PDFにヘッダーとフッターを付ける");
+
+    const note = document.createElement("p");
+    note.setAttribute("class", "settings-note");
+    note.innerText = "「PDFとして保存」（印刷ダイアログ）と一括印刷、「PDFファイル」出力のすべてに適用されます。" +
+        "印刷ダイアログではChrome / Edgeで表示され、ブラウザ自身のヘッダーとフッターは表示されなくなります。" +
+        "ページ番号はどの出力でも文書ごとに1から数えます。" +
+        "一括印刷（印刷ダイアログ）ではブラウザから文書ごとの総ページ数を得られないため、「x / y」の代わりに「x」を表示します。";
+
+    const table = document.createElement("table");
+    table.setAttribute("class", "diagnostics-table");
+
+    const headRow = document.createElement("tr");
+    ['', '左', '中央', '右'].forEach(text => {
+        const th = document.createElement("th");
+        th.innerText = text;
+        headRow.appendChild(th);
+    });
+    table.appendChild(headRow);
+
+    [['top', 'ヘッダー'], ['bottom', 'フッター']].forEach(([position, label]) => {
+        const row = document.createElement("tr");
+        const labelCell = document.createElement("th");
+        labelCell.innerText = label;
+        row.appendChild(labelCell);
+
+        ['left', 'center', 'right'].forEach(align => {
+            const slot = `${position}-${align}`;
+            const select = document.createElement("select");
+            PRINT_MARGIN_FIELDS.forEach(([value, text]) => {
+                const option = document.createElement("option");
+                option.value = value;
+                option.innerText = text;
+                option.selected = settings.slots[slot] === value;
+                select.appendChild(option);
+            });
+            select.onchange = () => { settings.slots[slot] = select.value; };
+
+            const cell = document.createElement("td");
+            cell.appendChild(select);
+            row.appendChild(cell);
+        });
+        table.appendChild(row);
+    });
+
+    const fileNameLabel = document.createElement("label");
+    fileNameLabel.innerText = "HTML出力（一括HTML）のファイル名";
+    const fileNameInput = document.createElement("input");
+    fileNameInput.value = settings.fileNameTemplate;
+    fileNameInput.placeholder = DEFAULT_PRINT_SETTINGS.fileNameTemplate;
+    fileNameInput.oninput = () => { settings.fileNameTemplate = fileNameInput.value.trim() || DEFAULT_PRINT_SETTINGS.fileNameTemplate; };
+
+    const fileNameNote = document.createElement("p");
+    fileNameNote.setAttribute("class", "settings-note");
+    fileNameNote.innerText = "使える項目: " +
+        EXPORT_FILE_NAME_FIELDS.map(([key, text]) => `{${key}} ${text}`).join(' / ') +
+        "。抽出項目名も {通知年月日} のように使えます。空の項目の前後の「_」は1つにまとめます。";
+
+    view.append(header, enabledLabel, note, table, fileNameLabel, fileNameInput, fileNameNote);
+    rightPanel.appendChild(view);
+};
+
+const renderMetadataSettings = () => {
+    const rightPanel = document.querySelector('.right-panel');
+    if (!rightPanel) return;
+
+    rightPanel.innerHTML = "";
+    currentSelectedKey = null;
+
+    const fields = metadataFields.map(field => ({ ...field, elements: [...(field.elements || [])] }));
+
+    const view = document.createElement("div");
+    view.setAttribute("class", "settings-view");
+
+    const header = document.createElement("div");
+    header.setAttribute("class", "page-header");
+
+    const heading = document.createElement("h2");
+    heading.innerText = "抽出項目の設定";
+
+    const buttons = document.createElement("div");
+    buttons.setAttribute("class", "header-left");
+    buttons.style.cssText = "gap: 8px;";
+
+    const note = document.createElement("p");
+    note.setAttribute("class", "settings-note");
+    note.innerText = "要素名は名前空間を問わずローカル名で照合します（完全一致 → 部分一致の順）。" +
+        "XPathを指定した場合はXPathを優先します（例: //*[local-name()='被保険者']/*[local-name()='氏名']）。";
+
+    const table = document.createElement("table");
+    table.setAttribute("class", "diagnostics-table");
+
+    const renderRows = () => {
+        table.innerHTML = "";
+        const headRow = document.createElement("tr");
+        ['項目名', '要素名（カンマ区切り）', 'XPath', '一覧に表示', ''].forEach(text => {
+            const th = document.createElement("th");
+            th.innerText = text;
+            headRow.appendChild(th);
+        });
+        table.appendChild(headRow);
+
+        fields.forEach((field, index) => {
+            const row = document.createElement("tr");
+
+            const labelInput = document.createElement("input");
+            labelInput.value = field.label;
+            labelInput.oninput = () => { field.label = labelInput.value.trim(); };
+
+            const elementsInput = document.createElement("input");
+            elementsInput.value = field.elements.join(', ');
+            elementsInput.oninput = () => {
+                field.elements = elementsInput.value.split(/[,、]/).map(name => name.trim()).filter(Boolean);
+            };
+
+            const xpathInput = document.createElement("input");
+            xpathInput.value = field.xpath || '';
+            xpathInput.oninput = () => { field.xpath = xpathInput.value.trim(); };
+
+            const listCheck = document.createElement("input");
+            listCheck.setAttribute("type", "checkbox");
+            listCheck.checked = !!field.showInList;
+            listCheck.onchange = () => { field.showInList = listCheck.checked; };
+
+            const removeBtn = document.createElement("button");
+            removeBtn.setAttribute("class", "btn-delete");
+            removeBtn.innerText = "削除";
+            removeBtn.onclick = () => {
+                fields.splice(index, 1);
+                renderRows();
+            };
+
+            [labelInput, elementsInput, xpathInput, listCheck, removeBtn].forEach(control => {
+                const cell = document.createElement("td");
+                cell.appendChild(control);
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    };
+    renderRows();
+
+    const addBtn = document.createElement("button");
+    addBtn.setAttribute("class", "home-btn");
+    addBtn.innerText = "項目を追加";
+    addBtn.onclick = () => {
+        fields.push({ label: '', elements: [], xpath: '', showInList: false });
+        renderRows();
+    };
+
+    const resetBtn = document.createElement("button");
+    resetBtn.setAttribute("class", "home-btn");
+    resetBtn.style.cssText = "background: #757575;";
+    resetBtn.innerText = "初期設定に戻す";
+    resetBtn.onclick = () => {
+        fields.splice(0, fields.length, ...DEFAULT_METADATA_FIELDS.map(field => ({ ...field, elements: [...field.elements] })));
+        renderRows();
+    };
+
+    const saveBtn = document.createElement("button");
+    saveBtn.setAttribute("class", "print-btn");
+    saveBtn.innerText = "保存して再抽出";
+    saveBtn.onclick = async () => {
+        const validFields = fields.filter(field => field.label && (field.elements.length > 0 || field.xpath));
+        const labels = validFields.map(field => field.label);
+        if (new Set(labels).size !== labels.length) {
+            alert('項目名が重複しています');
+            return;
+        }
+        saveBtn.disabled = true;
+        saveBtn.innerText = "再抽出中...";
+        saveMetadataFields(validFields);
+        await reextractMetadata();
+        renderUI();
+        renderMetadataSettings();
+    };
+
+    buttons.append(addBtn, resetBtn, saveBtn);
+    header.append(heading, buttons);
+    view.append(header, note, table);
+    rightPanel.appendChild(view);
+};
+
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+};
+
+// Shared by the top page and the right panel; the session list is filled in asynchronously
+const createSessionManager = () => {
+    const view = document.createElement("div");
+    view.setAttribute("class", "settings-view session-view");
+
+    const header = document.createElement("div");
+    header.setAttribute("class", "page-header");
+
+    const heading = document.createElement("h2");
+    heading.innerText = "セッション";
+
+    const buttons = document.createElement("div");
+    buttons.setAttribute("class", "header-left");
+    buttons.style.cssText = "gap: 8px;";
+
+    header.append(heading, buttons);
+    view.appendChild(header);
+
+    if (!sessionState.db) {
+        const note = document.createElement("p");
+        note.setAttribute("class", "settings-note");
+        note.innerText = "このブラウザではセッションを保存できません（IndexedDBが利用できません）。";
+        view.appendChild(note);
+        return view;
+    }
+
+    const runAndRender = async (action) => {
+        try {
+            await action();
+        } catch (error) {
+            console.error('Session error:', error);
+            alert(`セッションの操作に失敗しました\n${error.message}`);
+        }
+        renderUI();
+        renderSessionManager();
+    };
+
+    const renameBtn = document.createElement("button");
+    renameBtn.setAttribute("class", "home-btn");
+    renameBtn.innerText = "名前を変更";
+    renameBtn.onclick = () => {
+        const name = prompt('セッション名', sessionState.name);
+        if (!name || !name.trim()) return;
+        runAndRender(async () => {
+            sessionState.name = name.trim();
+            await queueSessionSave();
+        });
+    };
+
+    const newBtn = document.createElement("button");
+    newBtn.setAttribute("class", "print-btn");
+    newBtn.innerText = "新しいセッション";
+    newBtn.onclick = () => {
+        const name = prompt('新しいセッション名（例: 2026年10月 資格取得）', defaultSessionName());
+        if (!name || !name.trim()) return;
+        runAndRender(async () => {
+            await flushSessionSave();
+            await startNewSession(name.trim());
+        });
+    };
+
+    const purgeBtn = document.createElement("button");
+    purgeBtn.setAttribute("class", "home-btn");
+    purgeBtn.style.cssText = "background: #f44336;";
+    purgeBtn.innerText = "保存データをすべて削除";
+    purgeBtn.onclick = () => {
+        if (confirm('保存されているすべてのセッションとファイルを削除しますか？\n（現在表示中のファイルも削除されます）')) {
+            runAndRender(purgeAllSessions);
+        }
+    };
+
+    buttons.append(renameBtn, newBtn, purgeBtn);
+
+    const usage = document.createElement("p");
+    usage.setAttribute("class", "settings-note");
+    usage.innerText = `現在のセッション: ${sessionState.name}`;
+
+    const table = document.createElement("table");
+    table.setAttribute("class", "diagnostics-table");
+
+    view.append(usage, table);
+
+    Promise.all([
+        flushSessionSave().then(listSessions),
+        navigator.storage && navigator.storage.estimate ? navigator.storage.estimate() : Promise.resolve(null)
+    ]).then(([sessions, estimate]) => {
+        const storedSize = sessions.reduce((sum, session) => sum + (session.totalSize || 0), 0);
+        usage.innerText = [
+            `現在のセッション: ${sessionState.name}`,
+            `保存済み: ${sessions.length}セッション / ファイル合計 ${formatBytes(storedSize)}`,
+            estimate ? `ブラウザ使用量: ${formatBytes(estimate.usage || 0)} / 上限 ${formatBytes(estimate.quota || 0)}` : ''
+        ].filter(Boolean).join('\n');
+
+        const headRow = document.createElement("tr");
+        ['セッション名', '公文書', 'ファイル', 'サイズ', '更新日時', ''].forEach(text => {
+            const th = document.createElement("th");
+            th.innerText = text;
+            headRow.appendChild(th);
+        });
+        table.appendChild(headRow);
+
+        sessions.forEach(session => {
+            const isCurrent = session.id === sessionState.id;
+            const row = document.createElement("tr");
+
+            const nameCell = document.createElement("td");
+            nameCell.innerText = isCurrent ? `${session.name}（表示中）` : session.name;
+            if (isCurrent) nameCell.style.cssText = "font-weight: 600;";
+
+            const cells = [
+                `${session.documentCount || 0}件`,
+                `${session.fileCount || 0}件`,
+                formatBytes(session.totalSize || 0),
+                new Date(session.updatedAt).toLocaleString('ja-JP')
+            ].map(text => {
+                const cell = document.createElement("td");
+                cell.innerText = text;
+                cell.style.cssText = "white-space: nowrap;";
+                return cell;
+            });
+
+            const actionCell = document.createElement("td");
+            actionCell.style.cssText = "white-space: nowrap;";
+
+            const openBtn = document.createElement("button");
+            openBtn.setAttribute("class", "home-btn");
+            openBtn.innerText = "開く";
+            openBtn.disabled = isCurrent;
+            openBtn.onclick = () => runAndRender(async () => {
+                await flushSessionSave();
+                await loadSession(session.id);
+            });
+
+            const deleteBtn = document.createElement("button");
+            deleteBtn.setAttribute("class", "btn-delete");
+            deleteBtn.innerText = "削除";
+            deleteBtn.onclick = () => {
+                if (confirm(`セッション「${session.name}」を削除しますか？`)) {
+                    runAndRender(() => deleteSession(session.id));
+                }
+            };
+
+            actionCell.append(openBtn, deleteBtn);
+            row.append(nameCell, ...cells, actionCell);
+            table.appendChild(row);
+        });
+    }).catch((error) => {
+        console.error('Session list error:', error);
+        usage.innerText = `セッション一覧を読み込めませんでした: ${error.message}`;
+    });
+
+    return view;
+};
+
+const renderSessionManager = () => {
+    const rightPanel = document.querySelector('.right-panel');
+    if (rightPanel) {
+        rightPanel.innerHTML = "";
+        currentSelectedKey = null;
+        document.querySelectorAll('.file-item').forEach(item => {
+            item.classList.remove('active');
+        });
+        rightPanel.appendChild(createSessionManager());
+        return;
+    }
+
+    // Top page: show the manager below the drop zone
+    const dropZone = document.querySelector('.drop-zone');
+    if (!dropZone) return;
+    const existing = dropZone.querySelector('.session-view');
+    if (existing) existing.remove();
+    dropZone.appendChild(createSessionManager());
+};
+
+const listView = {
+    query: '',
+    sortBy: 'added',
+    groupBy: 'none',
+    collapsedGroups: new Set()
+};
+
+const LIST_SORT_OPTIONS = [
+    ['added', '読み込み順'],
+    ['title', '文書名'],
+    ['date', '通知年月日'],
+    ['jigyousho', '事業所名'],
+    ['source', '取込元']
+];
+
+const LIST_GROUP_OPTIONS = [
+    ['none', 'グループなし'],
+    ['source', '取込元（ZIP・フォルダ）'],
+    ['type', '文書の種類（XSLタイトル）']
+];
+
+const DATE_FIELD_LABEL = '通知年月日';
+const JAPANESE_ERAS = { '令和': 2018, '平成': 1988, '昭和': 1925, 'R': 2018, 'H': 1988, 'S': 1925 };
+
+// Normalizes 西暦/和暦 dates (2026-10-01, 20261001, 令和8年10月1日, R8.10.1) to YYYYMMDD
+const toSortableDate = (text) => {
+    if (!text) return '';
+    const normalized = text.replace(/[０-９]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0)).replace(/元年/, '1年');
+    const pad = (year, month, day) => `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+
+    let match = normalized.match(/(令和|平成|昭和|[RHS])\s*(\d{1,2})\s*[年.\/-]\s*(\d{1,2})\s*[月.\/-]\s*(\d{1,2})/);
+    if (match) {
+        return pad(JAPANESE_ERAS[match[1]] + Number(match[2]), match[3], match[4]);
+    }
+    match = normalized.match(/(\d{4})\s*[年.\/-]\s*(\d{1,2})\s*[月.\/-]\s*(\d{1,2})/);
+    if (match) {
+        return pad(match[1], match[2], match[3]);
+    }
+    match = normalized.match(/\b(\d{4})(\d{2})(\d{2})\b/);
+    return match ? `${match[1]}${match[2]}${match[3]}` : '';
+};
+
+const sourceLabelOf = (pairData) => {
+    const sourceInfo = pairData.sourceInfo || {};
+    if (sourceInfo.sourceType === 'direct') return '直接追加したファイル';
+    return sourceInfo.directory || sourceInfo.sourceName || '';
+};
+
+const matchesListQuery = (pairData, terms) => {
+    if (terms.length === 0) return true;
+    const haystack = [
+        pairData.title,
+        pairData.jigyoushoName,
+        pairData.basename,
+        pairData.xml.name,
+        pairData.xsl.name,
+        pairData.sourceInfo && pairData.sourceInfo.path,
+        ...Object.values(pairData.metadata || {})
+    ].filter(Boolean).join('\n').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+};
+
+const compareListEntries = (sortBy) => {
+    const collator = new Intl.Collator('ja', { numeric: true });
+    const valueOf = {
+        title: (pairData) => pairData.title || pairData.basename,
+        date: (pairData) => toSortableDate(pairData.metadata && pairData.metadata[DATE_FIELD_LABEL]) ||
+            new Date(pairData.xml.lastModified).toISOString().slice(0, 10).replace(/-/g, ''),
+        jigyousho: (pairData) => pairData.jigyoushoName || '',
+        source: (pairData) => (pairData.sourceInfo && pairData.sourceInfo.path) || ''
+    }[sortBy];
+    if (!valueOf) return null;
+    return ([, a], [, b]) => {
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+        // Entries without a value sink to the bottom
+        if (!valueA !== !valueB) return valueA ? -1 : 1;
+        return collator.compare(valueA, valueB);
+    };
+};
 
-            const nextBtn = document.createElement("button");
-            nextBtn.setAttribute("class", "home-btn");
-            nextBtn.innerText = "次のファイル";
-            nextBtn.style.cssText = nextKey ? "" : "opacity: 0.5; cursor: not-allowed;";
-            nextBtn.disabled = !nextKey;
-            if (nextKey) {
-                nextBtn.onclick = () => {
-                    const nextPairData = fileStorage.get(nextKey);
-                    showPair(nextKey, nextPairData);
-                };
-            }
+// Filtered, sorted and grouped view of fileStorage: [{ name, keys }]
+const getListGroups = () => {
+    const terms = listView.query.toLowerCase().split(/\s+/).filter(Boolean);
+    const entries = Array.from(fileStorage).filter(([, pairData]) => matchesListQuery(pairData, terms));
+    const compare = compareListEntries(listView.sortBy);
+    if (compare) {
+        entries.sort(compare);
+    }
 
-            const printBtn = document.createElement("button");
-            printBtn.setAttribute("class", "print-btn");
-            printBtn.innerText = "PDFとして保存";
-            printBtn.onclick = () => window.print();
+    if (listView.groupBy === 'none') {
+        return [{ name: '', keys: entries.map(([uniqueKey]) => uniqueKey) }];
+    }
 
-            rightSection.append(prevBtn, nextBtn, printBtn);
+    const groups = new Map();
+    entries.forEach(([uniqueKey, pairData]) => {
+        const name = listView.groupBy === 'type'
+            ? (pairData.title || '（タイトルなし）')
+            : sourceLabelOf(pairData);
+        if (!groups.has(name)) {
+            groups.set(name, []);
+        }
+        groups.get(name).push(uniqueKey);
+    });
+    const collator = new Intl.Collator('ja', { numeric: true });
+    return Array.from(groups, ([name, keys]) => ({ name, keys }))
+        .sort((a, b) => collator.compare(a.name, b.name));
+};
 
-            header.append(leftSection, rightSection);
+// Navigation order for prev/next and batch operations follows the visible list
+const getVisibleKeys = () => getListGroups().flatMap(({ keys }) => keys);
 
-            const infoSection = document.createElement("div");
-            infoSection.setAttribute("class", "info-section");
-            infoSection.style.cssText = "padding: 12px 16px; background: #f9f9f9; border-bottom: 1px solid #ddd;";
+const getNavigationKeys = (uniqueKey) => {
+    const visibleKeys = getVisibleKeys();
+    return visibleKeys.includes(uniqueKey) ? visibleKeys : Array.from(fileStorage.keys());
+};
 
-            if (pairData.title) {
-                const titleDiv = document.createElement("div");
-                titleDiv.style.cssText = "font-size: 18px; font-weight: bold; color: #333; margin-bottom: 6px;";
-                titleDiv.innerText = pairData.title;
-                infoSection.appendChild(titleDiv);
-            }
+// Same-named XMLs are numbered (#1), (#2) in load order, independent of the current sort
+const computeDisplayTitles = () => {
+    const basenameCount = new Map();
+    for (const pairData of fileStorage.values()) {
+        basenameCount.set(pairData.basename, (basenameCount.get(pairData.basename) || 0) + 1);
+    }
 
-            if (pairData.jigyoushoName) {
-                const companyDiv = document.createElement("div");
-                companyDiv.style.cssText = "font-size: 16px; color: #555;";
-                companyDiv.innerText = pairData.jigyoushoName;
-                infoSection.appendChild(companyDiv);
-            }
+    const basenameIndex = new Map();
+    const displayTitles = new Map();
+    for (const [uniqueKey, pairData] of fileStorage) {
+        const { basename } = pairData;
+        let suffix = '';
+        if (basenameCount.get(basename) > 1) {
+            const index = (basenameIndex.get(basename) || 0) + 1;
+            basenameIndex.set(basename, index);
+            suffix = ` (#${index})`;
+        }
+        displayTitles.set(uniqueKey, `${pairData.title || basename}${suffix}`);
+    }
+    return displayTitles;
+};
 
-            container.append(header, infoSection, contents);
-            body.append(container);
+const refreshBatchPrintLabel = () => {
+    const batchPrintBtn = document.querySelector('.batch-print-btn');
+    if (!batchPrintBtn) return;
+    batchPrintBtn.innerText = batchSelection.size > 0
+        ? `一括印刷 (${batchSelection.size}件選択)`
+        : "一括印刷 (表示中の全件)";
+};
 
-            const handleKeyPress = (e) => {
-                if (e.key === 'ArrowLeft' && prevKey) {
-                    const prevPairData = fileStorage.get(prevKey);
-                    showPair(prevKey, prevPairData);
-                } else if (e.key === 'ArrowRight' && nextKey) {
-                    const nextPairData = fileStorage.get(nextKey);
-                    showPair(nextKey, nextPairData);
-                } else if (e.key === 'Escape') {
-                    renderUI();
+const getBatchKeys = () => getVisibleKeys()
+    .filter(key => batchSelection.size === 0 || batchSelection.has(key));
+
+const renderFileList = () => {
+    const fileList = document.querySelector('.file-list');
+    if (!fileList) return;
+    fileList.innerHTML = "";
+
+    const displayTitles = computeDisplayTitles();
+    const groups = getListGroups();
+    const visibleCount = groups.reduce((count, { keys }) => count + keys.length, 0);
+
+    const countLabel = document.querySelector('.file-list-count');
+    if (countLabel) {
+        countLabel.innerText = visibleCount === fileStorage.size
+            ? `ファイル一覧 (${fileStorage.size}件)`
+            : `ファイル一覧 (${visibleCount} / ${fileStorage.size}件)`;
+    }
+
+    if (visibleCount === 0 && fileStorage.size > 0) {
+        const empty = document.createElement("div");
+        empty.setAttribute("class", "file-list-empty");
+        empty.innerText = "条件に一致する公文書はありません";
+        fileList.appendChild(empty);
+    }
+
+    groups.forEach(({ name, keys }) => {
+        let target = fileList;
+        if (listView.groupBy !== 'none') {
+            const collapsed = listView.collapsedGroups.has(name);
+
+            const groupHeader = document.createElement("div");
+            groupHeader.setAttribute("class", collapsed ? "file-group-header collapsed" : "file-group-header");
+            groupHeader.innerText = `${collapsed ? '▶' : '▼'} ${name} (${keys.length}件)`;
+            groupHeader.onclick = () => {
+                if (listView.collapsedGroups.has(name)) {
+                    listView.collapsedGroups.delete(name);
+                } else {
+                    listView.collapsedGroups.add(name);
                 }
+                renderFileList();
             };
+            fileList.appendChild(groupHeader);
 
-            document.removeEventListener('keydown', handleKeyPress);
-            document.addEventListener('keydown', handleKeyPress);
+            if (collapsed) return;
+            target = document.createElement("div");
+            target.setAttribute("class", "file-group");
+            fileList.appendChild(target);
+        }
+
+        keys.forEach(uniqueKey => {
+            const fileItem = createFileItem(uniqueKey, displayTitles.get(uniqueKey));
+            if (uniqueKey === currentSelectedKey) {
+                fileItem.classList.add('active');
+            }
+            target.appendChild(fileItem);
         });
     });
-};
 
-const deletePair = (uniqueKey, basename) => {
-    if (confirm(`「${basename}」のペアを削除しますか？`)) {
-        fileStorage.delete(uniqueKey);
-        renderUI();
-    }
+    refreshBatchPrintLabel();
 };
 
-const handleDrop = async (e) => {
-    e.preventDefault();
+const createListControls = () => {
+    const controls = document.createElement("div");
+    controls.setAttribute("class", "list-controls");
+
+    const searchInput = document.createElement("input");
+    searchInput.setAttribute("type", "search");
+    searchInput.setAttribute("placeholder", "文書名・事業所名・ファイル名・抽出項目で検索");
+    searchInput.value = listView.query;
+    searchInput.oninput = () => {
+        listView.query = searchInput.value;
+        renderFileList();
+    };
 
-    const items = e.dataTransfer.items;
-    const allFiles = [];
+    const createOptionSelect = (options, value, onChange) => {
+        const select = document.createElement("select");
+        options.forEach(([optionValue, label]) => {
+            const option = document.createElement("option");
+            option.value = optionValue;
+            option.innerText = label;
+            option.selected = optionValue === value;
+            select.appendChild(option);
+        });
+        select.onchange = () => {
+            onChange(select.value);
+            renderFileList();
+        };
+        return select;
+    };
 
-    const processEntry = async (entry, path = '') => {
-        if (entry.isFile) {
-            return new Promise((resolve) => {
-                entry.file((file) => {
-                    if (path) {
-                        Object.defineProperty(file, 'webkitRelativePath', {
-                            value: path + file.name,
-                            writable: false,
-                            configurable: true
-                        });
-                    }
-                    resolve(file);
-                }, (error) => {
-                    console.error('File read error:', error);
-                    resolve(null);
-                });
-            });
-        } else if (entry.isDirectory) {
-            const dirReader = entry.createReader();
-            const allEntries = [];
+    const sortSelect = createOptionSelect(LIST_SORT_OPTIONS, listView.sortBy, (value) => {
+        listView.sortBy = value;
+    });
+    sortSelect.title = "並び順";
 
-            const readAllEntries = async () => {
-                return new Promise((resolve) => {
-                    const readBatch = () => {
-                        dirReader.readEntries(async (entries) => {
-                            if (entries.length === 0) {
-                                resolve(allEntries);
-                            } else {
-                                allEntries.push(...entries);
-                                readBatch();
-                            }
-                        }, (error) => {
-                            console.error('Directory read error:', error);
-                            resolve(allEntries);
-                        });
-                    };
-                    readBatch();
-                });
-            };
+    const groupSelect = createOptionSelect(LIST_GROUP_OPTIONS, listView.groupBy, (value) => {
+        listView.groupBy = value;
+        listView.collapsedGroups.clear();
+    });
+    groupSelect.title = "グループ化";
 
-            const entries = await readAllEntries();
-            const promises = [];
-            for (const subEntry of entries) {
-                promises.push(processEntry(subEntry, path + entry.name + '/'));
-            }
-            const results = await Promise.all(promises);
-            return results.flat().filter(f => f);
+    controls.append(searchInput, sortSelect, groupSelect);
+    return controls;
+};
+
+const createFileItem = (uniqueKey, displayTitle) => {
+    const pairData = fileStorage.get(uniqueKey);
+
+    const fileItem = document.createElement("div");
+    fileItem.setAttribute("class", "file-item");
+    fileItem.setAttribute("data-key", uniqueKey);
+
+    const actions = document.createElement("div");
+    actions.setAttribute("class", "pair-actions");
+
+    const selectBox = document.createElement("input");
+    selectBox.setAttribute("type", "checkbox");
+    selectBox.title = "一括印刷の対象にする";
+    selectBox.checked = batchSelection.has(uniqueKey);
+    selectBox.onchange = () => {
+        if (selectBox.checked) {
+            batchSelection.add(uniqueKey);
+        } else {
+            batchSelection.delete(uniqueKey);
+        }
+        refreshBatchPrintLabel();
+    };
+    actions.appendChild(selectBox);
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.setAttribute("class", "btn-delete");
+    deleteBtn.style.cssText = "padding: 3px 8px; font-size: 10px;";
+    deleteBtn.innerText = "削除";
+    deleteBtn.onclick = (e) => {
+        e.stopPropagation();
+        if (confirm(`「${pairData.title || pairData.basename}」を削除しますか？`)) {
+            removePair(uniqueKey);
+            renderUI();
         }
-        return null;
     };
+    actions.appendChild(deleteBtn);
 
-    if (items && items.length > 0) {
-        const promises = [];
-        for (let i = 0; i < items.length; i++) {
-            const item = items[i];
-            if (item.kind === 'file') {
-                const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
-                if (entry) {
-                    promises.push(processEntry(entry));
-                } else {
-                    const file = item.getAsFile();
-                    if (file) {
-                        promises.push(Promise.resolve(file));
-                    }
-                }
-            }
+    const contentDiv = document.createElement("div");
+    contentDiv.setAttribute("class", "file-item-content");
+    contentDiv.onclick = () => renderPreview(uniqueKey, pairData);
+
+    const nameEl = document.createElement("strong");
+    nameEl.innerText = displayTitle;
+    contentDiv.append(nameEl, createSignatureBadge(pairData.xml));
+
+    if (pairData.manuallyPaired) {
+        const manualTag = document.createElement("span");
+        manualTag.setAttribute("class", "pair-tag");
+        manualTag.innerText = "手動ペア";
+        contentDiv.appendChild(manualTag);
+    }
+
+    listedMetadata(pairData.metadata).forEach(({ label, value }) => {
+        const fieldEl = document.createElement('div');
+        if (label === JIGYOUSHO_FIELD_LABEL) {
+            fieldEl.setAttribute('class', 'company-name');
+            fieldEl.innerText = value;
+        } else {
+            fieldEl.setAttribute('class', 'metadata-line');
+            fieldEl.innerText = `${label}: ${value}`;
         }
+        contentDiv.appendChild(fieldEl);
+    });
 
-        if (promises.length > 0) {
-            const results = await Promise.all(promises);
-            allFiles.push(...results.flat().filter(f => f));
+    const statusEl = document.createElement("div");
+    statusEl.setAttribute("class", "status");
+
+    statusEl.innerText = `${pairData.xml.name} (${(pairData.xml.size / 1024).toFixed(1)} KB) / ${pairData.xsl.name} (${(pairData.xsl.size / 1024).toFixed(1)} KB)`;
+
+    (pairData.encodingWarnings || []).forEach(warning => {
+        const warningEl = document.createElement("small");
+        warningEl.style.cssText = "display: block; color: #e65100;";
+        warningEl.innerText = `⚠ ${warning}`;
+        statusEl.appendChild(warningEl);
+    });
+
+    const sourceInfo = pairData.sourceInfo;
+    if (sourceInfo) {
+        let sourceText = '';
+        if (sourceInfo.sourceType === 'zip') {
+            sourceText = `${sourceInfo.directory || sourceInfo.sourceName} から抽出`;
+        } else if (sourceInfo.sourceType === 'folder' && sourceInfo.folderName) {
+            sourceText = `${sourceInfo.directory || sourceInfo.folderName} フォルダから`;
+        }
+        if (sourceText) {
+            const sourceEl = document.createElement("small");
+            sourceEl.style.cssText = "display: block; color: #999;";
+            sourceEl.innerText = sourceText;
+            statusEl.appendChild(sourceEl);
         }
     }
 
-    if (allFiles.length === 0 && e.dataTransfer.files.length > 0) {
-        allFiles.push(...Array.from(e.dataTransfer.files));
-    }
+    contentDiv.appendChild(statusEl);
 
-    if (allFiles.length > 0) {
-        addFilesToStorage(allFiles);
+    const linkedAttachments = attachmentsFor(pairData);
+    if (linkedAttachments.length > 0) {
+        contentDiv.appendChild(createAttachmentList(uniqueKey, linkedAttachments));
     }
-};
 
-let currentSelectedKey = null;
+    const repairBtn = document.createElement("button");
+    repairBtn.setAttribute("class", "home-btn");
+    repairBtn.style.cssText = "padding: 3px 8px; font-size: 10px;";
+    repairBtn.innerText = "XSL変更";
+    repairBtn.onclick = (e) => {
+        e.stopPropagation();
+        const openPanel = contentDiv.querySelector('.stylesheet-picker');
+        if (openPanel) {
+            openPanel.remove();
+        } else {
+            contentDiv.appendChild(createRepairPanel(uniqueKey, pairData));
+        }
+    };
+    actions.appendChild(repairBtn);
 
-const renderPreview = (uniqueKey, pairData) => {
-    const rightPanel = document.querySelector('.right-panel');
-    if (!rightPanel) return;
+    fileItem.append(actions, contentDiv);
+    return fileItem;
+};
 
-    rightPanel.innerHTML = "";
-    currentSelectedKey = uniqueKey;
+const createStylesheetSelect = (selectedPath) => {
+    const select = document.createElement("select");
+    select.setAttribute("class", "stylesheet-select");
 
-    document.querySelectorAll('.file-item').forEach(item => {
-        item.classList.remove('active');
+    const stylesheets = Array.from(xslCache.values()).sort((a, b) => a.path.localeCompare(b.path));
+    if (stylesheets.length === 0) {
+        const option = document.createElement("option");
+        option.innerText = "読み込み済みのXSLがありません";
+        select.appendChild(option);
+        select.disabled = true;
+    }
+    stylesheets.forEach(({ path, title }) => {
+        const option = document.createElement("option");
+        option.value = path;
+        option.innerText = title ? `${title} (${path})` : path;
+        option.selected = path === selectedPath;
+        select.appendChild(option);
     });
-    const activeItem = document.querySelector(`[data-key="${uniqueKey}"]`);
-    if (activeItem) {
-        activeItem.classList.add('active');
+    return select;
+};
+
+const showPairedEntry = (uniqueKey) => {
+    renderUI();
+    if (uniqueKey && fileStorage.has(uniqueKey)) {
+        renderPreview(uniqueKey, fileStorage.get(uniqueKey));
     }
+};
 
-    const allKeys = Array.from(fileStorage.keys());
-    const currentIndex = allKeys.indexOf(uniqueKey);
+const createRepairPanel = (uniqueKey, pairData) => {
+    const picker = document.createElement("div");
+    picker.setAttribute("class", "stylesheet-picker");
+    picker.onclick = (e) => e.stopPropagation();
 
-    convertXsl([pairData.xml, pairData.xsl]).then((docs) => {
-        docs.forEach(([name, doc]) => {
-            const contents = document.createElement("div");
-            contents.innerHTML = doc;
+    const select = createStylesheetSelect(pairData.xslPath);
 
-            applyTextFormatting(contents);
+    const replaceBtn = document.createElement("button");
+    replaceBtn.setAttribute("class", "home-btn");
+    replaceBtn.innerText = "置き換え";
+    replaceBtn.disabled = select.disabled;
+    replaceBtn.onclick = () => {
+        const xslData = xslCache.get(select.value);
+        if (xslData) {
+            showPairedEntry(repairEntry(uniqueKey, xslData, { replace: true }));
+        }
+    };
 
-            const container = document.createElement("div");
-            const isLandscape = pairData.basename.startsWith('2');
-            container.setAttribute("class", isLandscape ? "container landscape" : "container");
+    const addBtn = document.createElement("button");
+    addBtn.setAttribute("class", "print-btn");
+    addBtn.innerText = "追加して比較";
+    addBtn.disabled = select.disabled;
+    addBtn.onclick = () => {
+        const xslData = xslCache.get(select.value);
+        if (xslData) {
+            showPairedEntry(repairEntry(uniqueKey, xslData, { replace: false }));
+        }
+    };
 
-            const header = document.createElement("div");
-            header.setAttribute("class", "page-header");
+    picker.append(select, replaceBtn, addBtn);
+    return picker;
+};
 
-            const leftSection = document.createElement("div");
-            leftSection.setAttribute("class", "header-left");
+const createPoolSection = () => {
+    const pooledItems = Array.from(xmlPool.values()).flat();
 
-            const countLabel = document.createElement("span");
-            countLabel.style.cssText = "font-size: 14px; color: #666;";
-            countLabel.innerText = `${currentIndex + 1} / ${allKeys.length}`;
+    const section = document.createElement("div");
+    section.setAttribute("class", "pool-section");
 
-            const printBtn = document.createElement("button");
-            printBtn.setAttribute("class", "print-btn");
-            printBtn.innerText = "PDFとして保存";
-            printBtn.onclick = () => window.print();
+    const heading = document.createElement("h4");
+    heading.setAttribute("class", "pool-section-header");
+    heading.innerText = `スタイルシート待ちのXML (${pooledItems.length}件)`;
+    section.appendChild(heading);
 
-            leftSection.append(countLabel, printBtn);
-            header.append(leftSection);
+    pooledItems.forEach(xmlItem => {
+        const item = document.createElement("div");
+        item.setAttribute("class", "file-item pooled");
+
+        const contentDiv = document.createElement("div");
+        contentDiv.setAttribute("class", "file-item-content");
+
+        const nameEl = document.createElement("strong");
+        nameEl.innerText = xmlItem.file.name;
+        contentDiv.appendChild(nameEl);
+
+        if (xmlItem.jigyoushoName) {
+            const companyEl = document.createElement("div");
+            companyEl.setAttribute("class", "company-name");
+            companyEl.innerText = xmlItem.jigyoushoName;
+            contentDiv.appendChild(companyEl);
+        }
+
+        const expectedEl = document.createElement("small");
+        expectedEl.style.cssText = "display: block; color: #999;";
+        expectedEl.innerText = `${xmlItem.path} / 想定XSL: ${xmlItem.stylesheetPath || xmlItem.path.replace(/\.xml$/, '.xsl')}`;
+        contentDiv.appendChild(expectedEl);
 
-            const infoSection = document.createElement("div");
-            infoSection.setAttribute("class", "info-section");
-            infoSection.style.cssText = "padding: 12px 16px; background: #f9f9f9; border-bottom: 1px solid #ddd;";
+        const picker = document.createElement("div");
+        picker.setAttribute("class", "stylesheet-picker");
 
-            if (pairData.title) {
-                const titleDiv = document.createElement("div");
-                titleDiv.style.cssText = "font-size: 18px; font-weight: bold; color: #333; margin-bottom: 6px;";
-                titleDiv.innerText = pairData.title;
-                infoSection.appendChild(titleDiv);
+        const select = createStylesheetSelect(null);
+
+        const pairBtn = document.createElement("button");
+        pairBtn.setAttribute("class", "print-btn");
+        pairBtn.innerText = "ペア作成";
+        pairBtn.disabled = select.disabled;
+        pairBtn.onclick = () => {
+            const xslData = xslCache.get(select.value);
+            if (xslData) {
+                showPairedEntry(pairPooledXml(xmlItem, xslData));
             }
+        };
 
-            if (pairData.jigyoushoName) {
-                const companyDiv = document.createElement("div");
-                companyDiv.style.cssText = "font-size: 16px; color: #555;";
-                companyDiv.innerText = pairData.jigyoushoName;
-                infoSection.appendChild(companyDiv);
+        const xslInput = document.createElement("input");
+        xslInput.setAttribute("type", "file");
+        xslInput.setAttribute("class", "file-input");
+        xslInput.setAttribute("accept", ".xsl");
+        xslInput.onchange = async () => {
+            const file = xslInput.files[0];
+            if (!file) return;
+            await addFilesToStorage([file]);
+            const xslData = Array.from(xslCache.values()).find(data => data.file === file) || xslCache.get(file.name);
+            if (!xslData) {
+                alert(`${file.name} を読み込めませんでした（診断で詳細を確認してください）`);
+                return;
             }
+            // Loading the XSL may already have paired the XML by name or PI
+            const stillPooled = Array.from(xmlPool.values()).some(items => items.includes(xmlItem));
+            showPairedEntry(stillPooled ? pairPooledXml(xmlItem, xslData) : null);
+        };
 
-            container.append(header, infoSection, contents);
-            rightPanel.append(container);
-        });
+        const addXslBtn = document.createElement("button");
+        addXslBtn.setAttribute("class", "home-btn");
+        addXslBtn.innerText = "XSLを追加してペア";
+        addXslBtn.onclick = () => xslInput.click();
+
+        picker.append(select, pairBtn, addXslBtn, xslInput);
+        contentDiv.appendChild(picker);
+
+        item.appendChild(contentDiv);
+        section.appendChild(item);
     });
+
+    return section;
 };
 
 const renderUI = () => {
+    // Every state change ends in a re-render, so this is where the session gets persisted
+    scheduleSessionSave();
+
     const body = document.body;
     body.innerHTML = "";
+    if (loadProgress.element) {
+        body.appendChild(loadProgress.element);
+    }
 
     body.ondragover = (e) => e.preventDefault();
     body.ondrop = handleDrop;
@@ -660,6 +6273,8 @@ const renderUI = () => {
         });
     }
 
+    const hasLoadedFiles = completePairs.length > 0 || xmlPool.size > 0 || xslCache.size > 0 || fileDiagnostics.size > 0;
+
     const dropZone = document.createElement("div");
     dropZone.setAttribute("class", "drop-zone");
 
@@ -695,17 +6310,14 @@ const renderUI = () => {
     buttonContainer.style.cssText = "display: flex; gap: 10px; flex-wrap: wrap; justify-content: center;";
     buttonContainer.appendChild(fileLabel);
 
-    if (completePairs.length > 0) {
+    if (hasLoadedFiles) {
         const clearBtnTop = document.createElement("button");
         clearBtnTop.setAttribute("class", "drop-label");
         clearBtnTop.style.cssText = "background: #f44336; color: white; border: none; display: inline-block; margin: 5px;";
         clearBtnTop.innerText = "クリア";
         clearBtnTop.onclick = () => {
             if (confirm('すべてのファイルをクリアしますか？\n（アップロードしたファイルがすべて削除されます）')) {
-                fileStorage.clear();
-                xslCache.clear();
-                xmlPool.clear();
-                processedFileKeys.clear();
+                clearStorage();
                 renderUI();
             }
         };
@@ -718,9 +6330,18 @@ const renderUI = () => {
         buttonContainer.appendChild(clearBtnTop);
     }
 
+    if (sessionState.db) {
+        const sessionsBtn = document.createElement("button");
+        sessionsBtn.setAttribute("class", "drop-label");
+        sessionsBtn.style.cssText = "background: #757575; color: white; border: none; display: inline-block; margin: 5px;";
+        sessionsBtn.innerText = "保存済みセッション";
+        sessionsBtn.onclick = () => renderSessionManager();
+        buttonContainer.appendChild(sessionsBtn);
+    }
+
     dropZone.appendChild(buttonContainer);
 
-    if (completePairs.length > 0) {
+    if (hasLoadedFiles) {
         const splitView = document.createElement("div");
         splitView.setAttribute("class", "split-view");
 
@@ -734,6 +6355,7 @@ const renderUI = () => {
         headerTop.style.cssText = "display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;";
 
         const headerTitle = document.createElement("h3");
+        headerTitle.setAttribute("class", "file-list-count");
         headerTitle.style.cssText = "margin: 0; color: #333;";
         headerTitle.innerText = `ファイル一覧 (${completePairs.length}件)`;
 
@@ -742,17 +6364,16 @@ const renderUI = () => {
         backBtn.style.cssText = "padding: 4px 8px; font-size: 11px;";
         backBtn.innerText = "トップに戻る";
         backBtn.onclick = () => {
-            fileStorage.clear();
-            xslCache.clear();
-            xmlPool.clear();
-            processedFileKeys.clear();
-            renderUI();
+            if (confirm('すべてのファイルをクリアしてトップに戻りますか？\n（このセッションの保存内容も空になります）')) {
+                clearStorage();
+                renderUI();
+            }
         };
 
         headerTop.append(headerTitle, backBtn);
 
         const headerButtons = document.createElement("div");
-        headerButtons.style.cssText = "display: flex; gap: 4px;";
+        headerButtons.style.cssText = "display: flex; gap: 4px; flex-wrap: wrap;";
 
         const addFileBtn = document.createElement("button");
         addFileBtn.setAttribute("class", "home-btn");
@@ -766,18 +6387,96 @@ const renderUI = () => {
         clearBtn.innerText = "全削除";
         clearBtn.onclick = () => {
             if (confirm('すべてのファイルをクリアしますか？')) {
-                fileStorage.clear();
-                xslCache.clear();
-                xmlPool.clear();
-                processedFileKeys.clear();
+                clearStorage();
                 renderUI();
             }
         };
         clearBtn.onmouseover = () => { clearBtn.style.background = "#d32f2f"; };
         clearBtn.onmouseout = () => { clearBtn.style.background = "#f44336"; };
 
-        headerButtons.append(addFileBtn, clearBtn);
-        leftHeader.append(headerTop, headerButtons);
+        const batchPrintBtn = document.createElement("button");
+        batchPrintBtn.setAttribute("class", "print-btn batch-print-btn");
+        batchPrintBtn.style.cssText = "padding: 4px 8px; font-size: 11px;";
+        batchPrintBtn.onclick = () => printBatch(getBatchKeys());
+
+        const batchPdfBtn = document.createElement("button");
+        batchPdfBtn.setAttribute("class", "print-btn");
+        batchPdfBtn.style.cssText = "padding: 4px 8px; font-size: 11px;";
+        batchPdfBtn.innerText = "一括PDF";
+        batchPdfBtn.onclick = () => printBatch(getBatchKeys(), { autoPrint: false });
+
+        const batchHtmlBtn = document.createElement("button");
+        batchHtmlBtn.setAttribute("class", "print-btn");
+        batchHtmlBtn.style.cssText = "padding: 4px 8px; font-size: 11px;";
+        batchHtmlBtn.innerText = "一括HTML";
+        batchHtmlBtn.title = "選択中（未選択なら表示中の全件）の公文書をHTMLにしてZIPで保存";
+        batchHtmlBtn.onclick = async () => {
+            batchHtmlBtn.disabled = true;
+            try {
+                await exportHtmlArchive(getBatchKeys(), (done, total) => {
+                    batchHtmlBtn.innerText = `作成中... ${done} / ${total}`;
+                });
+            } catch (error) {
+                console.error('HTML export error:', error);
+                alert(`HTMLの出力に失敗しました: ${error.message}`);
+            } finally {
+                batchHtmlBtn.disabled = false;
+                batchHtmlBtn.innerText = "一括HTML";
+            }
+        };
+
+        const problemCount = countDiagnosticProblems();
+        const diagnosticsBtn = document.createElement("button");
+        diagnosticsBtn.setAttribute("class", "home-btn");
+        diagnosticsBtn.style.cssText = problemCount > 0
+            ? "background: #e65100; padding: 4px 8px; font-size: 11px;"
+            : "background: #757575; padding: 4px 8px; font-size: 11px;";
+        diagnosticsBtn.innerText = problemCount > 0 ? `診断 (問題 ${problemCount}件)` : "診断";
+        diagnosticsBtn.onclick = () => renderDiagnostics();
+
+        const searchBtn = document.createElement("button");
+        searchBtn.setAttribute("class", "home-btn");
+        searchBtn.style.cssText = "padding: 4px 8px; font-size: 11px;";
+        searchBtn.innerText = "全文検索";
+        searchBtn.title = "すべての公文書の本文から検索";
+        searchBtn.onclick = () => renderFullTextSearch();
+
+        const sessionBtn = document.createElement("button");
+        sessionBtn.setAttribute("class", "home-btn");
+        sessionBtn.style.cssText = "background: #757575; padding: 4px 8px; font-size: 11px;";
+        sessionBtn.innerText = "セッション";
+        sessionBtn.title = sessionState.name ? `現在のセッション: ${sessionState.name}` : "セッションの保存・切り替え";
+        sessionBtn.onclick = () => renderSessionManager();
+
+        const printSettingsBtn = document.createElement("button");
+        printSettingsBtn.setAttribute("class", "home-btn");
+        printSettingsBtn.style.cssText = "background: #757575; padding: 4px 8px; font-size: 11px;";
+        printSettingsBtn.innerText = "印刷設定";
+        printSettingsBtn.title = "印刷・PDFのヘッダーとフッター";
+        printSettingsBtn.onclick = () => renderPrintSettings();
+
+        const metadataBtn = document.createElement("button");
+        metadataBtn.setAttribute("class", "home-btn");
+        metadataBtn.style.cssText = "background: #757575; padding: 4px 8px; font-size: 11px;";
+        metadataBtn.innerText = "抽出項目";
+        metadataBtn.onclick = () => renderMetadataSettings();
+
+        const csvBtn = document.createElement("button");
+        csvBtn.setAttribute("class", "home-btn");
+        csvBtn.style.cssText = "padding: 4px 8px; font-size: 11px;";
+        csvBtn.innerText = "一覧CSV";
+        csvBtn.title = "表示中の公文書の一覧をCSV（Excel対応）で出力";
+        csvBtn.onclick = () => exportInventory(getVisibleKeys(), 'csv');
+
+        const xlsxBtn = document.createElement("button");
+        xlsxBtn.setAttribute("class", "home-btn");
+        xlsxBtn.style.cssText = "padding: 4px 8px; font-size: 11px;";
+        xlsxBtn.innerText = "一覧Excel";
+        xlsxBtn.title = "表示中の公文書の一覧を.xlsxで出力";
+        xlsxBtn.onclick = () => exportInventory(getVisibleKeys(), 'xlsx');
+
+        headerButtons.append(addFileBtn, clearBtn, batchPrintBtn, batchPdfBtn, batchHtmlBtn, searchBtn, diagnosticsBtn, sessionBtn, printSettingsBtn, metadataBtn, csvBtn, xlsxBtn);
+        leftHeader.append(headerTop, headerButtons, createListControls());
 
         const leftContent = document.createElement("div");
         leftContent.setAttribute("class", "left-panel-content");
@@ -811,88 +6510,12 @@ const renderUI = () => {
         const fileList = document.createElement("div");
         fileList.setAttribute("class", "file-list");
 
-        const basenameCount = new Map();
-        completePairs.forEach(({ basename }) => {
-            basenameCount.set(basename, (basenameCount.get(basename) || 0) + 1);
-        });
-
-        const basenameIndex = new Map();
-        completePairs.forEach(({ uniqueKey, basename, xml, xsl }) => {
-            const pairData = fileStorage.get(uniqueKey);
-
-            const fileItem = document.createElement("div");
-            fileItem.setAttribute("class", "file-item");
-            fileItem.setAttribute("data-key", uniqueKey);
-
-            const actions = document.createElement("div");
-            actions.setAttribute("class", "pair-actions");
-
-            const deleteBtn = document.createElement("button");
-            deleteBtn.setAttribute("class", "btn-delete");
-            deleteBtn.style.cssText = "padding: 3px 8px; font-size: 10px;";
-            deleteBtn.innerText = "削除";
-            deleteBtn.onclick = (e) => {
-                e.stopPropagation();
-                if (confirm(`「${pairData.title || basename}」を削除しますか？`)) {
-                    fileStorage.delete(uniqueKey);
-                    renderUI();
-                }
-            };
-            actions.appendChild(deleteBtn);
-
-            const contentDiv = document.createElement("div");
-            contentDiv.setAttribute("class", "file-item-content");
-            contentDiv.onclick = () => renderPreview(uniqueKey, pairData);
-
-            const nameEl = document.createElement("strong");
-
-            let finalDisplayName = basename;
-            if (basenameCount.get(basename) > 1) {
-                const currentIndex = (basenameIndex.get(basename) || 0) + 1;
-                basenameIndex.set(basename, currentIndex);
-                finalDisplayName = `${basename} (#${currentIndex})`;
-            }
-
-            let displayTitle = '';
-            if (pairData.title) {
-                displayTitle = pairData.title;
-                if (basenameCount.get(basename) > 1) {
-                    displayTitle += ` (#${basenameIndex.get(basename)})`;
-                }
-            } else {
-                displayTitle = finalDisplayName;
-            }
-
-            nameEl.innerText = displayTitle;
-            contentDiv.appendChild(nameEl);
-
-            if (pairData.jigyoushoName) {
-                const companyEl = document.createElement('div');
-                companyEl.setAttribute('class', 'company-name');
-                companyEl.innerText = pairData.jigyoushoName;
-                contentDiv.appendChild(companyEl);
-            }
-
-            const statusEl = document.createElement("div");
-            statusEl.setAttribute("class", "status");
-
-            let sourceInfo = '';
-            if (pairData.sourceInfo) {
-                if (pairData.sourceInfo.sourceType === 'zip') {
-                    sourceInfo = `<br><small style="color: #999;">${pairData.sourceInfo.sourceName} から抽出</small>`;
-                } else if (pairData.sourceInfo.sourceType === 'folder' && pairData.sourceInfo.folderName) {
-                    sourceInfo = `<br><small style="color: #999;">${pairData.sourceInfo.folderName} フォルダから</small>`;
-                }
-            }
-
-            statusEl.innerHTML = `${xml.name} (${(xml.size / 1024).toFixed(1)} KB) / ${xsl.name} (${(xsl.size / 1024).toFixed(1)} KB)${sourceInfo}`;
-            contentDiv.appendChild(statusEl);
+        leftContent.appendChild(fileList);
 
-            fileItem.append(actions, contentDiv);
-            fileList.appendChild(fileItem);
-        });
+        if (xmlPool.size > 0) {
+            leftContent.appendChild(createPoolSection());
+        }
 
-        leftContent.appendChild(fileList);
         leftPanel.append(leftHeader, leftContent);
 
         const rightPanel = document.createElement("div");
@@ -945,8 +6568,13 @@ const renderUI = () => {
         splitView.append(leftPanel, resizer, rightPanel);
         body.appendChild(splitView);
 
-        if (completePairs.length > 0) {
-            renderPreview(completePairs[0].uniqueKey, fileStorage.get(completePairs[0].uniqueKey));
+        renderFileList();
+
+        const firstKey = getVisibleKeys()[0] || (completePairs[0] && completePairs[0].uniqueKey);
+        if (firstKey) {
+            renderPreview(firstKey, fileStorage.get(firstKey));
+        } else {
+            renderDiagnostics();
         }
 
         return;
@@ -964,7 +6592,7 @@ const renderUI = () => {
                                 <li><strong>ドラッグ&ドロップ</strong>: ファイル・フォルダ・ZIPをドロップしてアップロードします</li>
                             </ul>
                         </li>
-                        <li>ファイル名（拡張子除く）が一致するペアを自動検出</li>
+                        <li>XMLの xml-stylesheet 指定、または同じフォルダ内でファイル名（拡張子除く）が一致するXSLとのペアを自動検出（ZIP内のZIPも展開）</li>
                         <li>完成ペアのみが一覧に表示されます</li>
                         <li>「プレビュー & PDF保存」ボタンでA4用紙プレビューを表示</li>
                         <li>「PDFとして保存」ボタンをクリック</li>
@@ -989,4 +6617,5 @@ const renderUI = () => {
 
 window.onload = () => {
     renderUI();
+    initSessions();
 };